@@ -0,0 +1,289 @@
+/**
+ * Clearance Manager for Delta Green Player UI
+ * Classification levels and need-to-know compartments for records
+ *
+ * Foundry ownership of records follows clearance: the primary GM gives agents cleared for a record
+ * the Record Ownership level (its creator gets Owner) and removes every permission of other agents,
+ * whenever a record, a clearance or an agent's account changes. Foundry still sends document data
+ * to every client, so this keeps records out of agents' sidebars and sheets, not out of their console.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { LoginManager } from './login-manager.js';
+import { RecordStorage } from './record-storage.js';
+
+export class ClearanceManager {
+  // Classification levels, from lowest to highest
+  static LEVELS = ['UNCLASSIFIED', 'CONFIDENTIAL', 'SECRET', 'TOP SECRET'];
+  
+  // Delay before ownership is synced, so a burst of changes syncs once (ms)
+  static SYNC_DELAY = 500;
+  
+  static syncTimeoutId = null;
+  
+  /**
+   * Initialize clearance manager
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing clearance manager');
+    
+    // New users change who is cleared (account logins through the loginSessions setting)
+    Hooks.on('createUser', () => this.requestOwnershipSync());
+    
+    // Records created by earlier versions were owned by every player
+    this.requestOwnershipSync();
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Handle clearance save (GM only)
+    $(document).on('click', '.dg-clearance-save', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      
+      const $row = $(e.currentTarget).closest('.dg-clearance-row');
+      await this.setUserClearance($row.data('user-id'), {
+        level: Number($row.find('.dg-clearance-level').val()),
+        compartments: this.parseCompartments($row.find('.dg-clearance-compartments').val())
+      });
+      
+      ui.notifications.info("Clearance updated");
+    });
+    
+    // Keep clicks on clearance controls from opening the character sheet
+    $(document).on('click', '.dg-clearance-row select, .dg-clearance-row input', (e) => {
+      e.stopPropagation();
+    });
+  }
+  
+  /**
+   * Parse a comma-separated list of compartments
+   * @param {string|Array} value - Raw value
+   * @returns {Array<string>} Normalized compartment codes
+   */
+  static parseCompartments(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(list.map(c => c.trim().toUpperCase()).filter(c => c))];
+  }
+  
+  /**
+   * Get clearance of a user
+   * @param {User} user - User (defaults to current user)
+   * @returns {Object} { level, compartments }
+   */
+  static getUserClearance(user = game.user) {
+    // GM is cleared for everything
+    if (user.isGM) {
+      return { level: this.LEVELS.length - 1, compartments: null };
+    }
+    
+    // Agents logged into an in-fiction account get the account's clearance
+    const account = LoginManager.getActiveAccount(user);
+    if (account) {
+      return {
+        level: Number.isInteger(account.level) ? account.level : 0,
+        compartments: this.parseCompartments(account.compartments)
+      };
+    }
+    
+    const clearances = game.settings.get(DeltaGreenUI.ID, 'clearances') || {};
+    const clearance = clearances[user.id] || {};
+    
+    return {
+      level: Number.isInteger(clearance.level) ? clearance.level : 0,
+      compartments: this.parseCompartments(clearance.compartments)
+    };
+  }
+  
+  /**
+   * Set clearance of a user (GM only)
+   * @param {string} userId - User ID
+   * @param {Object} clearance - { level, compartments }
+   */
+  static async setUserClearance(userId, clearance) {
+    if (!game.user.isGM) return;
+    
+    const clearances = foundry.utils.deepClone(game.settings.get(DeltaGreenUI.ID, 'clearances') || {});
+    clearances[userId] = {
+      level: Math.max(0, Math.min(this.LEVELS.length - 1, clearance.level || 0)),
+      compartments: this.parseCompartments(clearance.compartments)
+    };
+    
+    await game.settings.set(DeltaGreenUI.ID, 'clearances', clearances);
+  }
+  
+  /**
+   * Get classification of a record
+   * @param {StoredRecord} record - Record
+   * @returns {Object} { level, compartments }
+   */
+  static getRecordClassification(record) {
+    return this.getDataClassification(record.flags?.[DeltaGreenUI.ID] || {});
+  }
+  
+  /**
+   * Get classification from record data
+   * @param {Object} data - Record module data
+   * @returns {Object} { level, compartments }
+   */
+  static getDataClassification(data) {
+    const level = Number(data.classification);
+    
+    return {
+      level: Number.isInteger(level) ? level : 0,
+      compartments: this.parseCompartments(data.compartments)
+    };
+  }
+  
+  /**
+   * Build Foundry ownership of a record from agents' clearances
+   * Cleared agents get the Record Ownership level (at least Observer), the creator gets Owner
+   * @param {Object} data - Record module data
+   * @returns {Object} Ownership levels by user ID
+   */
+  static getRecordOwnership(data) {
+    const levels = CONST.DOCUMENT_OWNERSHIP_LEVELS;
+    const classification = this.getDataClassification(data);
+    const cleared = Math.max(levels.OBSERVER, Number(game.settings.get(DeltaGreenUI.ID, 'defaultOwnership')) || 0);
+    
+    const ownership = { default: levels.NONE };
+    game.users.filter(u => !u.isGM).forEach(user => {
+      if (!this.covers(this.getUserClearance(user), classification)) ownership[user.id] = levels.NONE;
+      else ownership[user.id] = data.createdBy === user.name ? levels.OWNER : cleared;
+    });
+    return ownership;
+  }
+  
+  /**
+   * Sync ownership of every record shortly (primary GM only)
+   */
+  static requestOwnershipSync() {
+    if (!DeltaGreenUI.isPrimaryGM()) return;
+    
+    clearTimeout(this.syncTimeoutId);
+    this.syncTimeoutId = setTimeout(() => this.syncOwnership(), this.SYNC_DELAY);
+  }
+  
+  /**
+   * Give every record the ownership its classification calls for (primary GM only)
+   */
+  static async syncOwnership() {
+    if (!DeltaGreenUI.isPrimaryGM() || !RecordStorage.isAvailable()) return;
+    
+    const changes = RecordStorage.getRecords()
+      .map(record => ({ record, ownership: this.getRecordOwnership(record.flags[DeltaGreenUI.ID]) }))
+      .filter(({ record, ownership }) => {
+        const current = record.backend.getOwnership(record.source) || {};
+        return Object.entries(ownership).some(([id, level]) => current[id] !== level);
+      });
+    if (changes.length === 0) return;
+    
+    try {
+      await RecordStorage.setOwnership(changes);
+      console.log(`Delta Green UI | Ownership of ${changes.length} records synced with clearances`);
+    } catch (error) {
+      console.error('Delta Green UI | Error syncing record ownership:', error);
+    }
+  }
+  
+  /**
+   * Check if a clearance covers a classification
+   * @param {Object} clearance - { level, compartments } (null compartments = all)
+   * @param {Object} classification - { level, compartments }
+   * @returns {boolean} True if cleared
+   */
+  static covers(clearance, classification) {
+    if (classification.level > clearance.level) return false;
+    if (clearance.compartments === null) return true;
+    return classification.compartments.every(c => clearance.compartments.includes(c));
+  }
+  
+  /**
+   * Check if a user can read a record
+   * @param {StoredRecord} record - Record
+   * @param {User} user - User (defaults to current user)
+   * @returns {boolean} True if cleared
+   */
+  static canAccess(record, user = game.user) {
+    return this.covers(this.getUserClearance(user), this.getRecordClassification(record));
+  }
+  
+  /**
+   * Format classification for display ("SECRET//SUNFLOWER")
+   * @param {Object} classification - { level, compartments }
+   * @returns {string} Classification label
+   */
+  static formatClassification(classification) {
+    const label = this.LEVELS[classification.level] || this.LEVELS[0];
+    return [label, ...classification.compartments].join('//');
+  }
+  
+  /**
+   * Build list item shown instead of a record the user is not cleared for
+   * @param {StoredRecord} record - Record
+   * @returns {string} List item HTML
+   */
+  static renderDeniedStub(record) {
+    const caseNumber = record.getFlag(DeltaGreenUI.ID, 'caseNumber') || '??????';
+    const classification = this.formatClassification(this.getRecordClassification(record));
+    
+    return `<li class="dg-result-item dg-access-denied-stub">
+      CASE ${caseNumber} - ACCESS DENIED [${classification}]
+    </li>`;
+  }
+  
+  /**
+   * Fill classification selector of case study form
+   * @param {number} selected - Selected level
+   */
+  static renderClassificationOptions(selected = 0) {
+    const $select = $('#dg-classification');
+    if (!$select.length) return;
+    
+    // Agents can't classify above their own clearance
+    const max = this.getUserClearance().level;
+    
+    $select.empty();
+    this.LEVELS.forEach((label, level) => {
+      if (level > max && level !== selected) return;
+      $select.append(`<option value="${level}" ${level === selected ? 'selected' : ''}>${label}</option>`);
+    });
+  }
+  
+  /**
+   * Render GM clearance controls in access view
+   */
+  static renderClearanceControls() {
+    const $list = $('#dg-clearance-list');
+    if (!$list.length || !game.user.isGM) return;
+    
+    $list.empty();
+    
+    const players = game.users.filter(u => !u.isGM);
+    if (players.length === 0) {
+      $list.append('<li class="dg-result-item dg-no-entries">No agents found</li>');
+      return;
+    }
+    
+    players.forEach(player => {
+      const clearance = this.getUserClearance(player);
+      const options = this.LEVELS.map((label, level) =>
+        `<option value="${level}" ${level === clearance.level ? 'selected' : ''}>${label}</option>`
+      ).join('');
+      
+      $list.append(`
+        <li class="dg-result-item dg-clearance-row" data-user-id="${player.id}">
+          <span class="dg-clearance-name">${player.name}</span>
+          <select class="dg-form-select dg-clearance-level">${options}</select>
+          <input type="text" class="dg-form-input dg-clearance-compartments" placeholder="COMPARTMENTS" value="${clearance.compartments.join(', ')}">
+          <button class="dg-button dg-clearance-save">SET</button>
+        </li>
+      `);
+    });
+  }
+}
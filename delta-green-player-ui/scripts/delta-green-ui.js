@@ -8,6 +8,25 @@
 import { UIComponents } from './ui-components.js';
 import { RecordsManager } from './records-manager.js';
 import { MailSystem } from './mail-system.js';
+import { MailComposer } from './mail-composer.js';
+import { SocketHandler } from './socket-handler.js';
+import { ClearanceManager } from './clearance-manager.js';
+import { RecordHistory } from './record-history.js';
+import { RedactionManager } from './redaction-manager.js';
+import { RecordSchema, RecordSchemaConfig } from './record-schema.js';
+import { RecordTransfer } from './record-transfer.js';
+import { DossierPrinter } from './dossier-printer.js';
+import { RecordLinks } from './record-links.js';
+import { RecordAttachments } from './record-attachments.js';
+import { RecordStorage, RecordStorageConfig } from './record-storage.js';
+import { RecordTrash } from './record-trash.js';
+import { RecordLocks } from './record-locks.js';
+import { RecordDrafts } from './record-drafts.js';
+import { JournalReader } from './journal-reader.js';
+import { TerminalPush } from './terminal-push.js';
+import { TerminalControl } from './terminal-control.js';
+import { HandlerVault } from './handler-vault.js';
+import { LoginManager, LoginAccountsConfig } from './login-manager.js';
 
 /**
  * Main module class
@@ -76,6 +95,274 @@ export class DeltaGreenUI {
         step: 1
       }
     });
+    
+    game.settings.register(this.ID, 'photocopyFilter', {
+      name: 'Photocopy Filter',
+      hint: 'Show attached images as grainy photocopies',
+      scope: 'client',
+      config: true,
+      type: Boolean,
+      default: false
+    });
+    
+    // Former storage of the mail queue, now kept in the Handler vault (read for migration)
+    game.settings.register(this.ID, 'mailQueue', {
+      name: 'Mail Queue',
+      hint: 'Handler messages waiting for delivery',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: []
+    });
+    
+    game.settings.register(this.ID, 'defaultOwnership', {
+      name: 'Record Ownership',
+      hint: 'Permission of agents cleared for a record (its creator is always Owner). Agents without clearance get no permission',
+      scope: 'world',
+      config: true,
+      type: Number,
+      choices: {
+        2: 'Observer',
+        3: 'Owner'
+      },
+      default: 2,
+      onChange: () => ClearanceManager.requestOwnershipSync()
+    });
+    
+    game.settings.register(this.ID, 'storageBackend', {
+      name: 'Record Storage',
+      hint: 'Where records are stored (changed through the Record Storage menu)',
+      scope: 'world',
+      config: false,
+      type: String,
+      default: 'actor',
+      onChange: () => {
+        RecordsManager.loadRecords();
+        this.loadLastEntries();
+        ClearanceManager.requestOwnershipSync();
+      }
+    });
+    
+    game.settings.register(this.ID, 'recordFolder', {
+      name: 'Records Folder',
+      hint: 'Name of the folder holding records (Actor and Journal Entry storage)',
+      scope: 'world',
+      config: false,
+      type: String,
+      default: 'PC Records',
+      onChange: () => {
+        RecordsManager.loadRecords();
+        this.loadLastEntries();
+      }
+    });
+    
+    game.settings.register(this.ID, 'recordStore', {
+      name: 'Record Store',
+      hint: 'Records kept in the world setting storage (sent to every client, players included)',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => {
+        if (RecordStorage.getBackendId() !== 'setting') return;
+        RecordsManager.loadRecords();
+        this.loadLastEntries();
+        ClearanceManager.requestOwnershipSync();
+      }
+    });
+    
+    game.settings.registerMenu(this.ID, 'recordStorageMenu', {
+      name: 'Record Storage',
+      label: 'Configure Record Storage',
+      hint: 'Choose where records are stored and the records folder name, and move existing records',
+      icon: 'fas fa-database',
+      type: RecordStorageConfig,
+      restricted: true
+    });
+    
+    game.settings.register(this.ID, 'gmOnlyPurge', {
+      name: 'Handler-Only Purge',
+      hint: 'Only the GM can permanently purge deleted files',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: true,
+      onChange: () => RecordTrash.displayDeletedRecords()
+    });
+    
+    game.settings.register(this.ID, 'trashExpiryDays', {
+      name: 'Deleted Files Expiry (days)',
+      hint: 'Deleted files are purged automatically after this many days (0 = never)',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 0,
+      range: {
+        min: 0,
+        max: 365,
+        step: 1
+      },
+      onChange: () => {
+        RecordTrash.displayDeletedRecords();
+        RecordTrash.purgeExpired();
+      }
+    });
+    
+    game.settings.register(this.ID, 'lockedTerminals', {
+      name: 'Locked Terminals',
+      hint: 'Users whose LOG OUT button is disabled by the Handler',
+      scope: 'world',
+      config: false,
+      type: Array,
+      default: [],
+      onChange: () => {
+        TerminalControl.applyLock();
+        TerminalControl.renderControlPanel();
+      }
+    });
+    
+    game.settings.register(this.ID, 'loginRequired', {
+      name: 'Agent Login',
+      hint: 'Agents log in with their agent ID and passphrase at the boot screen',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false
+    });
+    
+    game.settings.register(this.ID, 'loginMaxAttempts', {
+      name: 'Login Attempts Before Lockout',
+      hint: 'Failed logins allowed before the terminal is locked out',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 3,
+      range: {
+        min: 1,
+        max: 10,
+        step: 1
+      }
+    });
+    
+    game.settings.register(this.ID, 'loginLockoutMinutes', {
+      name: 'Login Lockout (minutes)',
+      hint: 'How long a terminal stays locked out after too many failed logins',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 5,
+      range: {
+        min: 1,
+        max: 60,
+        step: 1
+      }
+    });
+    
+    game.settings.register(this.ID, 'loginAccounts', {
+      name: 'Login Accounts',
+      hint: 'Agents\' IDs and in-fiction accounts (passphrase hashes are kept in the Handler vault)',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => {
+        // Accounts carry their own clearance and mailbox
+        ClearanceManager.requestOwnershipSync();
+        RecordsManager.loadRecords();
+        this.loadLastEntries();
+        this.updateAgentName();
+        MailSystem.renderRecipients();
+        TerminalControl.renderControlPanel();
+      }
+    });
+    
+    // Written by the primary GM, who checks logins
+    game.settings.register(this.ID, 'loginLockouts', {
+      name: 'Login Lockouts',
+      hint: 'Failed logins and lockout end of each user',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => {
+        if (LoginManager.pendingLogin) LoginManager.displayLockout();
+        TerminalControl.renderControlPanel();
+      }
+    });
+    
+    game.settings.register(this.ID, 'loginSessions', {
+      name: 'Login Sessions',
+      hint: 'In-fiction account each user is logged into',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => {
+        LoginManager.onSessionsChanged();
+        ClearanceManager.requestOwnershipSync();
+        TerminalControl.renderControlPanel();
+      }
+    });
+    
+    game.settings.registerMenu(this.ID, 'loginAccountsMenu', {
+      name: 'Login Accounts',
+      label: 'Manage Login Accounts',
+      hint: 'Set agents\' IDs and passphrases, and create in-fiction accounts agents can log into',
+      icon: 'fas fa-key',
+      type: LoginAccountsConfig,
+      restricted: true
+    });
+    
+    game.settings.register(this.ID, 'clearances', {
+      name: 'Agent Clearances',
+      hint: 'Clearance level and compartments of each user',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => {
+        // Refresh lists filtered by clearance
+        RecordsManager.loadRecords();
+        this.loadLastEntries();
+        ClearanceManager.renderClearanceControls();
+        ClearanceManager.requestOwnershipSync();
+      }
+    });
+    
+    game.settings.register(this.ID, 'recordSchema', {
+      name: 'Record Schema',
+      hint: 'Fields of case study records, per record type',
+      scope: 'world',
+      config: false,
+      type: Object,
+      default: RecordSchema.DEFAULT_SCHEMAS,
+      onChange: () => {
+        // Refresh lists and open form with new fields
+        RecordsManager.loadRecords();
+        this.loadLastEntries();
+        if ($('#dg-case-study-form').is(':visible')) {
+          RecordsManager.showRecordForm(RecordsManager.currentRecordId, RecordsManager.currentRecordType);
+        }
+      }
+    });
+    
+    game.settings.register(this.ID, 'schemaVersion', {
+      name: 'Record Schema Version',
+      hint: 'Version of stored record data, used for migrations',
+      scope: 'world',
+      config: false,
+      type: Number,
+      default: 0
+    });
+    
+    game.settings.registerMenu(this.ID, 'recordSchemaMenu', {
+      name: 'Record Schema',
+      label: 'Edit Record Schema',
+      hint: 'Define fields of each record type (label, key, type, order, required)',
+      icon: 'fas fa-table',
+      type: RecordSchemaConfig,
+      restricted: true
+    });
   }
   
   /**
@@ -102,57 +389,6 @@ export class DeltaGreenUI {
         MailSystem.renderChatMessage(message, html, data);
       }
     });
-    
-    // Actor hooks (records)
-    Hooks.on('createActor', (actor, options, userId) => {
-      console.log('Delta Green UI | New actor created, checking folder...');
-      
-      // Refresh immediately
-      this.loadLastEntries();
-      
-      // Then refresh after a short delay to ensure the actor is properly associated with the folder
-      setTimeout(() => {
-        // Check again if the actor is in the PC Records folder
-        const updatedActor = game.actors.get(actor.id);
-        if (updatedActor && updatedActor.folder && updatedActor.folder.name === "PC Records") {
-          console.log('Delta Green UI | Actor confirmed in PC Records, refreshing latest entries');
-          this.loadLastEntries();
-          this.forceDisplayLastEntries();
-        }
-      }, 500);
-    });
-    
-    Hooks.on('updateActor', (actor, changes, options, userId) => {
-      console.log('Delta Green UI | Actor updated, checking folder...');
-      
-      // Refresh immediately
-      this.loadLastEntries();
-      
-      // Then refresh after a short delay to ensure the actor is properly associated with the folder
-      setTimeout(() => {
-        // Check again if the actor is in the PC Records folder
-        const updatedActor = game.actors.get(actor.id);
-        if (updatedActor && updatedActor.folder && updatedActor.folder.name === "PC Records") {
-          console.log('Delta Green UI | Actor confirmed in PC Records, refreshing latest entries');
-          this.loadLastEntries();
-          this.forceDisplayLastEntries();
-        }
-      }, 500);
-    });
-    
-    Hooks.on('deleteActor', (actor, options, userId) => {
-      // Since the actor is already deleted, we can't check its folder
-      // So we systematically refresh the latest entries
-      console.log('Delta Green UI | Actor deleted, refreshing latest entries');
-      this.loadLastEntries();
-      
-      // Force immediate display of entries after a short delay
-      setTimeout(() => {
-        console.log('Delta Green UI | Forcing display after actor deletion');
-        this.loadLastEntries();
-        this.forceDisplayLastEntries();
-      }, 500);
-    });
   }
   
   /**
@@ -169,14 +405,39 @@ export class DeltaGreenUI {
         
         // Initialize components
         console.log('Delta Green UI | Initializing components');
+        SocketHandler.init();
+        HandlerVault.init();
+        RecordStorage.init();
         UIComponents.init();
+        ClearanceManager.init();
         RecordsManager.init();
+        RecordHistory.init();
+        RedactionManager.init();
+        RecordTransfer.init();
+        DossierPrinter.init();
+        RecordLinks.init();
+        RecordAttachments.init();
+        RecordTrash.init();
+        RecordLocks.init();
+        RecordDrafts.init();
+        JournalReader.init();
+        TerminalPush.init();
+        TerminalControl.init();
+        LoginManager.init();
         MailSystem.init();
+        MailComposer.init();
         
-        // Create folder for NPCs if it doesn't exist
-        console.log('Delta Green UI | Creating PC Records folder if needed');
-        this.createPCRecordsFolder().then(() => {
-          console.log('Delta Green UI | PC Records folder check completed');
+        // Create records folder if it doesn't exist
+        console.log('Delta Green UI | Creating records folder if needed');
+        RecordStorage.ensureContainer().then(() => {
+          console.log('Delta Green UI | Records folder check completed');
+          
+          // Migrate stored records to current schema, deleted ones included so they come back migrated
+          if (this.isPrimaryGM()) {
+            RecordSchema.migrateRecords(RecordStorage.getRecords()).catch(error => {
+              console.error('Delta Green UI | Error migrating records:', error);
+            });
+          }
           
           // Immediate loading of latest entries
           console.log('Delta Green UI | Immediate loading of latest entries from onReady');
@@ -201,6 +462,9 @@ export class DeltaGreenUI {
                     $('#dg-crt-container').hide();
                     game.user.setFlag(this.ID, 'interfaceActive', false);
                     $('body').removeClass('dg-crt-active');
+                  } else if (LoginManager.isRequired()) {
+                    // Agents go through the boot sequence to log in
+                    this.openInterface();
                   } else {
                     // Afficher l'interface pour les joueurs normaux
                     console.log('Delta Green UI | Container found, showing it');
@@ -227,7 +491,7 @@ export class DeltaGreenUI {
             ui.notifications.error("Error rendering Delta Green UI interface");
           });
         }).catch(error => {
-          console.error('Delta Green UI | Error creating PC Records folder:', error);
+          console.error('Delta Green UI | Error creating records folder:', error);
         });
       }).catch(error => {
         console.error('Delta Green UI | Error loading templates:', error);
@@ -398,6 +662,9 @@ export class DeltaGreenUI {
     
     // Show login animation
     const $loginAnimation = $('#dg-login-animation');
+    $loginAnimation.css('animation', '');
+    $('.dg-login-message').removeClass('active');
+    LoginManager.cancelPrompt();
     $loginAnimation.show();
     
     // Initialize progress bar
@@ -409,16 +676,19 @@ export class DeltaGreenUI {
     
     // Sécurité : forcer la fin de l'animation seulement si elle bug vraiment
     // On utilise un délai plus long (10s) pour ne pas interférer avec l'animation normale
-    securityTimeout = setTimeout(() => {
-      console.log('Delta Green UI | Animation security timeout triggered after 10s');
-      // Vérifier si l'animation est toujours visible
-      if ($loginAnimation.is(':visible')) {
-        console.log('Delta Green UI | Animation still visible after 10s, forcing end');
-        $loginAnimation.hide();
-        $('#dg-crt-screen').css('opacity', '1');
-        this.forceDisplayLastEntries();
-      }
-    }, 10000);
+    const armSecurityTimeout = () => {
+      securityTimeout = setTimeout(() => {
+        console.log('Delta Green UI | Animation security timeout triggered after 10s');
+        // Vérifier si l'animation est toujours visible
+        if ($loginAnimation.is(':visible')) {
+          console.log('Delta Green UI | Animation still visible after 10s, forcing end');
+          $loginAnimation.hide();
+          $('#dg-crt-screen').css('opacity', '1');
+          this.forceDisplayLastEntries();
+        }
+      }, 10000);
+    };
+    armSecurityTimeout();
     
     // Animation steps timing (in ms)
     const steps = [
@@ -433,59 +703,63 @@ export class DeltaGreenUI {
     ];
     
     // Execute each step
-    steps.forEach(step => {
-      setTimeout(() => {
-        // Update progress bar
-        $progressBar.css('width', `${step.progress}%`);
-        
-        // Show message if needed
-        if (step.message) {
-          $(`.dg-login-message[data-step="${step.message}"]`).addClass('active');
-        }
-        
-        // Final step - hide animation and show interface
-        if (step.time === 5000) {
+    const playStep = (step) => {
+      // Update progress bar
+      $progressBar.css('width', `${step.progress}%`);
+      
+      // Show message if needed
+      if (step.message) {
+        $(`.dg-login-message[data-step="${step.message}"]`).addClass('active');
+      }
+      
+      // Final step - hide animation and show interface
+      if (step.time === 5000) {
+        setTimeout(() => {
+          console.log('Delta Green UI | Animation final step reached, starting fadeOut');
+          $loginAnimation.css('animation', 'fadeOut 0.5s forwards');
+          
           setTimeout(() => {
-            console.log('Delta Green UI | Animation final step reached, starting fadeOut');
-            $loginAnimation.css('animation', 'fadeOut 0.5s forwards');
+            console.log('Delta Green UI | Animation complete, showing interface');
+            $loginAnimation.hide();
+            $('#dg-crt-screen').css('opacity', '1');
             
-            setTimeout(() => {
-              console.log('Delta Green UI | Animation complete, showing interface');
-              $loginAnimation.hide();
-              $('#dg-crt-screen').css('opacity', '1');
-              
-              // Force immediate display of entries
-              this.forceDisplayLastEntries();
-              
-              // Annuler le timeout de sécurité car l'animation s'est terminée normalement
-              if (securityTimeout) {
-                console.log('Delta Green UI | Clearing security timeout as animation completed normally');
-                clearTimeout(securityTimeout);
-              }
-            }, 500);
+            // Force immediate display of entries
+            this.forceDisplayLastEntries();
+            
+            // Annuler le timeout de sécurité car l'animation s'est terminée normalement
+            if (securityTimeout) {
+              console.log('Delta Green UI | Clearing security timeout as animation completed normally');
+              clearTimeout(securityTimeout);
+            }
           }, 500);
-        }
-      }, step.time);
-    });
-  }
-  
-  /**
-   * Create folder for NPCs
-   */
-  static async createPCRecordsFolder() {
-    // Check if folder already exists
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
+        }, 500);
+      }
+    };
     
-    // If folder doesn't exist, create it
-    if (!folder) {
-      await Folder.create({
-        name: "PC Records",
-        type: "Actor",
-        parent: null,
-        color: "#33ff33"
+    const runSteps = (first, last) => {
+      steps.slice(first, last).forEach(step => {
+        setTimeout(() => playStep(step), step.time - steps[first].time);
       });
-      console.log('Delta Green UI | "PC Records" folder created');
+    };
+    
+    // Access is granted only once the agent has logged in
+    const loginIndex = LoginManager.isRequired() ? steps.findIndex(step => step.message === 4) : -1;
+    if (loginIndex === -1) {
+      runSteps(0, steps.length);
+      return;
     }
+    
+    runSteps(0, loginIndex);
+    setTimeout(() => {
+      // Waiting for credentials doesn't count as a stuck animation
+      clearTimeout(securityTimeout);
+      LoginManager.prompt().then(({ agentId }) => {
+        $('.dg-login-message[data-step="4"]').text(`ACCESS GRANTED TO ${agentId} - DECRYPTING FILES...`);
+        $('.dg-login-message[data-step="6"]').text(`SYSTEM READY - WELCOME OPERATOR ${agentId}`);
+        armSecurityTimeout();
+        runSteps(loginIndex, steps.length);
+      });
+    }, steps[loginIndex].time);
   }
   
   /**
@@ -550,6 +824,28 @@ export class DeltaGreenUI {
     }
   }
   
+  /**
+   * Close interface (LOG OUT, or Handler command)
+   */
+  static closeInterface() {
+    // Deactivate interface
+    $('#dg-crt-container').hide();
+    game.user.setFlag(this.ID, 'interfaceActive', false);
+    
+    // Remove class from body to show Foundry elements
+    $('body').removeClass('dg-crt-active');
+    
+    // Stop refresh interval to avoid glitches
+    if (this.refreshIntervalId) {
+      console.log('Delta Green UI | Stopping refresh interval (via LOG OUT)');
+      clearInterval(this.refreshIntervalId);
+      this.refreshIntervalId = null;
+    }
+    
+    // Next login starts under the agent's own identity
+    LoginManager.endSession();
+  }
+  
   /**
    * Check if interface is active
    */
@@ -564,6 +860,15 @@ export class DeltaGreenUI {
     return game.user.isGM;
   }
   
+  /**
+   * Check if this client is the GM in charge of shared tasks
+   * (first active GM, so only one client acts when several GMs are connected)
+   */
+  static isPrimaryGM() {
+    const gm = game.users.find(u => u.isGM && u.active);
+    return gm?.id === game.user.id;
+  }
+  
   /**
    * Render main interface
    */
@@ -620,6 +925,11 @@ export class DeltaGreenUI {
         console.error('Delta Green UI | Error injecting templates:', error);
       }
       
+      // Remove GM-only elements for players
+      if (!this.isGameMaster()) {
+        $('#dg-crt-container .dg-gm-only').remove();
+      }
+      
       // Verify container was added
       if ($('#dg-crt-container').length === 0) {
         console.error('Delta Green UI | Container not found after append!');
@@ -656,6 +966,9 @@ export class DeltaGreenUI {
       console.log('Delta Green UI | Updating agent name');
       this.updateAgentName();
       
+      // Update unread mail counter
+      MailSystem.updateUnreadCounter();
+      
       // Force display of entries by default
       console.log('Delta Green UI | Forcing display of entries');
       this.forceDisplayLastEntries();
@@ -668,6 +981,9 @@ export class DeltaGreenUI {
       console.log('Delta Green UI | Loading player list');
       this.loadPlayersList();
       
+      // Load clearance controls (GM only)
+      ClearanceManager.renderClearanceControls();
+      
       // Force display after a delay to ensure DOM is ready
       console.log('Delta Green UI | Setting up delayed force display');
       setTimeout(() => {
@@ -725,11 +1041,25 @@ export class DeltaGreenUI {
       const view = $(this).data('view');
       console.log('Delta Green UI | Click on menu item:', view);
       
+      // The Handler may keep agents inside the terminal
+      if (view === 'logout' && TerminalControl.isLocked()) {
+        ui.notifications.warn("LOG OUT DISABLED BY HANDLER");
+        return;
+      }
+      
+      // Leaving records view hides the case study form and its changes
+      if (view !== 'records' && view !== 'settings' && RecordDrafts.hasUnsavedChanges()) {
+        RecordDrafts.confirmDiscard().then(confirmed => {
+          if (!confirmed) return;
+          RecordsManager.hideRecordForm({ force: true });
+          $(this).trigger('click');
+        });
+        return;
+      }
+      
       if (view === 'logout') {
         console.log('Delta Green UI | Logout attempt via delegation');
-        // Deactivate interface
-        $('#dg-crt-container').hide();
-        game.user.setFlag(DeltaGreenUI.ID, 'interfaceActive', false);
+        DeltaGreenUI.closeInterface();
         return;
       }
       
@@ -747,11 +1077,22 @@ export class DeltaGreenUI {
       $('.dg-view').removeClass('active');
       $(`#dg-view-${view}`).addClass('active');
       
+      // If in access view, refresh clearance and terminal controls
+      if (view === 'access') {
+        ClearanceManager.renderClearanceControls();
+        TerminalControl.renderControlPanel();
+      }
+      
       // If in records view, load records
       if (view === 'records') {
         RecordsManager.loadRecords();
       }
       
+      // If in link analysis view, draw records network
+      if (view === 'links') {
+        RecordLinks.renderGraph();
+      }
+      
       // If in mail view, load messages
       if (view === 'mail') {
         MailSystem.loadMessages();
@@ -760,7 +1101,7 @@ export class DeltaGreenUI {
       // If in journal view, load journals
       if (view === 'journal') {
         console.log('Delta Green UI | Loading journals');
-        DeltaGreenUI.loadJournals();
+        JournalReader.loadJournals();
       }
     });
     
@@ -770,19 +1111,19 @@ export class DeltaGreenUI {
       e.preventDefault();
       e.stopPropagation();
       
-      // Deactivate interface
-      $('#dg-crt-container').hide();
-      game.user.setFlag(DeltaGreenUI.ID, 'interfaceActive', false);
+      if (TerminalControl.isLocked()) return;
       
-      // Remove class from body to show Foundry elements
-      $('body').removeClass('dg-crt-active');
-      
-      // Stop refresh interval to avoid glitches
-      if (DeltaGreenUI.refreshIntervalId) {
-        console.log('Delta Green UI | Stopping refresh interval (via LOG OUT)');
-        clearInterval(DeltaGreenUI.refreshIntervalId);
-        DeltaGreenUI.refreshIntervalId = null;
+      // Ask before logging out with unsaved changes
+      if (RecordDrafts.hasUnsavedChanges()) {
+        RecordDrafts.confirmDiscard().then(confirmed => {
+          if (!confirmed) return;
+          RecordsManager.hideRecordForm({ force: true });
+          $('#dg-logout-button').trigger('click');
+        });
+        return;
       }
+      
+      DeltaGreenUI.closeInterface();
     });
     
     // Handle agent sheet view button
@@ -808,7 +1149,10 @@ export class DeltaGreenUI {
    */
   static updateAgentName() {
     const actor = game.user.character;
-    if (actor) {
+    const account = LoginManager.getActiveAccount();
+    if (account) {
+      $('#dg-current-agent-name').text(account.name);
+    } else if (actor) {
       $('#dg-current-agent-name').text(actor.name);
     } else {
       $('#dg-current-agent-name').text('NO AGENT ASSIGNED');
@@ -900,54 +1244,6 @@ export class DeltaGreenUI {
     }
   }
   
-  /**
-   * Load journals
-   */
-  static loadJournals() {
-    console.log('Delta Green UI | Loading journals');
-    
-    try {
-      // Get journals list element
-      const $list = $('#dg-journals-list');
-      if (!$list.length) {
-        console.error('Delta Green UI | Journals list not found');
-        return;
-      }
-      
-      // Clear list
-      $list.empty();
-      
-      // Get all journals
-      const journals = game.journal.contents;
-      console.log('Delta Green UI | Found', journals.length, 'journals');
-      
-      if (journals.length === 0) {
-        $list.append('<li class="dg-result-item dg-no-entries">No journals found</li>');
-        return;
-      }
-      
-      // Add journals to list
-      journals.forEach(journal => {
-        const $item = $(`<li class="dg-result-item" data-journal-id="${journal.id}">${journal.name}</li>`);
-        $list.append($item);
-        
-        // Add click handler
-        $item.on('click', function() {
-          // Open journal sheet
-          journal.sheet.render(true);
-        });
-      });
-    } catch (error) {
-      console.error('Delta Green UI | Error loading journals:', error);
-      
-      // In case of error, display error message
-      const $list = $('#dg-journals-list');
-      if ($list.length) {
-        $list.empty().append('<li class="dg-result-item dg-no-entries">Error loading journals</li>');
-      }
-    }
-  }
-  
   /**
    * Load latest entries
    */
@@ -958,9 +1254,9 @@ export class DeltaGreenUI {
       // Direct test to check if element exists in DOM
       console.log("Delta Green UI | Test element:", document.getElementById("dg-last-entries-list"));
       
-      // Get PC Records folder
-      const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-      console.log('Delta Green UI | PC Records folder found:', folder ? 'Yes' : 'No');
+      // Check records storage
+      const available = RecordStorage.isAvailable();
+      console.log('Delta Green UI | Records storage available:', available ? 'Yes' : 'No');
       
       // Update list
       let $list = $('#dg-last-entries-list');
@@ -1004,23 +1300,23 @@ export class DeltaGreenUI {
       // Array to store recent actors
       let recentActors = [];
       
-      // Check if there are actors in PC Records folder
-      if (!folder) {
-        console.log('Delta Green UI | No PC Records folder, displaying "No recent entries found" message');
+      // Check if records can be read
+      if (!available) {
+        console.log('Delta Green UI | No records storage, displaying "No recent entries found" message');
         $list.append('<li class="dg-result-item dg-no-entries">No recent entries found</li>');
         return;
       }
       
-      // Get actors in folder (direct and reliable method)
-      const allActors = game.actors.filter(a => a.folder && a.folder.id === folder.id);
-      console.log('Delta Green UI | Total number of actors in PC Records folder:', allActors.length);
+      // Get stored records
+      const allActors = RecordsManager.getAllRecords();
+      console.log('Delta Green UI | Total number of stored records:', allActors.length);
       
       // Display found actors for debugging
       allActors.forEach(a => console.log(`- ${a.name} (ID: ${a.id})`));
       
       if (allActors.length === 0) {
         // No actor found, display "No recent entries found" message
-        console.log('Delta Green UI | No actor found in PC Records folder');
+        console.log('Delta Green UI | No stored record found');
         $list.append('<li class="dg-result-item dg-no-entries">No recent entries found</li>');
         return;
       }
@@ -1052,55 +1348,20 @@ export class DeltaGreenUI {
       // Add actors to list
       recentActors.forEach((actor, index) => {
         try {
-          // Get record information safely
-          let firstName = '';
-          let lastName = '';
-          
-          try {
-            firstName = actor.getFlag(DeltaGreenUI.ID, 'firstName') || '';
-          } catch (e) {
-            console.error('Delta Green UI | Error getting first name:', e);
-          }
-          
-          try {
-            lastName = actor.getFlag(DeltaGreenUI.ID, 'surname') || '';
-          } catch (e) {
-            console.error('Delta Green UI | Error getting last name:', e);
-          }
-          
-          // Get surname (used as reference)
-          let reference = '';
-          try {
-            reference = actor.getFlag(DeltaGreenUI.ID, 'surname') || 'UNKNOWN';
-          } catch (e) {
-            console.error('Delta Green UI | Error getting reference:', e);
-            reference = 'UNKNOWN';
-          }
-          
-          // Get name (stored in middleName)
-          let middleName = '';
-          try {
-            middleName = actor.getFlag(DeltaGreenUI.ID, 'middleName') || '';
-          } catch (e) {
-            console.error('Delta Green UI | Error getting middle name:', e);
+          // Records above the agent's clearance only show as stubs
+          if (!ClearanceManager.canAccess(actor)) {
+            $list.append(ClearanceManager.renderDeniedStub(actor));
+            return;
           }
           
-          // If both are empty, use actor name
-          if (!firstName && !reference) {
-            console.log(`Delta Green UI | First name and surname empty for actor ${index + 1}, using actor name`);
-            $list.append(`
-              <li class="dg-result-item" data-actor-id="${actor.id}">
-                ${actor.name}
-              </li>
-            `);
-          } else {
-            console.log(`Delta Green UI | Adding actor ${index + 1}: ${reference} - ${firstName} ${middleName}`);
-            $list.append(`
-              <li class="dg-result-item" data-actor-id="${actor.id}">
-                ${reference} - ${firstName} ${middleName}
-              </li>
-            `);
-          }
+          // Label built from list fields of the record schema (falls back to actor name)
+          const label = RecordsManager.getRecordLabel(actor);
+          console.log(`Delta Green UI | Adding actor ${index + 1}: ${label}`);
+          $list.append(`
+            <li class="dg-result-item" data-actor-id="${actor.id}">
+              ${label}
+            </li>
+          `);
         } catch (error) {
           console.error(`Delta Green UI | Error adding actor ${index + 1}:`, error);
           // In case of error, add generic entry
@@ -1115,7 +1376,7 @@ export class DeltaGreenUI {
       // Handle clicks on entries
       $list.find('.dg-result-item[data-actor-id]').on('click', function() {
         const actorId = $(this).data('actor-id');
-        const actor = game.actors.get(actorId);
+        const actor = RecordsManager.getRecord(actorId);
         
         if (actor) {
           // Display case study form
@@ -0,0 +1,198 @@
+/**
+ * Dossier Printer for Delta Green Player UI
+ * Period-style printable rendering of case study records
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordSchema } from './record-schema.js';
+import { ClearanceManager } from './clearance-manager.js';
+import { RedactionManager } from './redaction-manager.js';
+
+export class DossierPrinter {
+  /**
+   * Initialize dossier printer
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing dossier printer');
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Print record shown in case study form
+    $(document).on('click', '#dg-print-record', (e) => {
+      e.preventDefault();
+      const record = RecordsManager.getRecord(RecordsManager.currentRecordId);
+      if (record) this.printRecords([record]);
+    });
+    
+    // Print every readable record of the operation
+    $(document).on('click', '#dg-print-all-records', (e) => {
+      e.preventDefault();
+      this.printRecords(RecordsManager.getAllRecords());
+    });
+  }
+  
+  /**
+   * Check if GM asked for a handout (every span redacted)
+   * @returns {boolean} True for handout printing
+   */
+  static isHandout() {
+    return game.user.isGM && $('#dg-print-handout').is(':checked');
+  }
+  
+  /**
+   * Escape text for HTML
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  static escape(text) {
+    return $('<div>').text(String(text ?? '')).html();
+  }
+  
+  /**
+   * Render a field value with black bars over redacted spans
+   * @param {string} value - Stored value
+   * @param {StoredRecord} record - Record
+   * @param {boolean} handout - Redact every span
+   * @returns {string} HTML
+   */
+  static renderValue(value, record, handout) {
+    const text = String(value ?? '');
+    let html = '';
+    let last = 0;
+    
+    for (const match of text.matchAll(RedactionManager.SPAN_PATTERN)) {
+      html += this.escape(text.slice(last, match.index));
+      
+      const [, id, content] = match;
+      if (!handout && RedactionManager.isRevealed(record, id)) {
+        html += this.escape(content);
+      } else {
+        const length = Math.max(4, Math.min(40, content.length));
+        html += `<span class="redacted">${'█'.repeat(length)}</span>`;
+      }
+      
+      last = match.index + match[0].length;
+    }
+    
+    html += this.escape(text.slice(last));
+    return html.replace(/\n/g, '<br>');
+  }
+  
+  /**
+   * Render one record as a dossier page
+   * @param {StoredRecord} record - Record
+   * @param {boolean} handout - Redact every span
+   * @returns {string} HTML section
+   */
+  static renderDossier(record, handout) {
+    const type = RecordSchema.getRecordType(record);
+    const classification = ClearanceManager.formatClassification(ClearanceManager.getRecordClassification(record));
+    const caseNumber = record.getFlag(DeltaGreenUI.ID, 'caseNumber') || '';
+    const img = record.img || RecordSchema.RECORD_TYPES[type].icon;
+    
+    const fields = RecordSchema.getFields(type);
+    const cells = fields.map((field, index) => {
+      const wide = field.type === 'longtext' ? ' wide' : '';
+      return `<div class="cell${wide}">
+        <div class="label">${index + 1}. ${this.escape(field.label.toUpperCase())}</div>
+        <div class="value">${this.renderValue(record.getFlag(DeltaGreenUI.ID, field.key), record, handout) || '&nbsp;'}</div>
+      </div>`;
+    }).join('');
+    
+    return `<section class="dossier">
+      <div class="banner">${this.escape(classification)}</div>
+      <header>
+        <div class="agency">UNITED STATES GOVERNMENT<br>FEDERAL CASE FILE</div>
+        <div class="form-id">FORM 302-DG<br>REV. 9-94</div>
+      </header>
+      <div class="title">
+        <span>CASE STUDY - ${this.escape(RecordSchema.RECORD_TYPES[type].label.toUpperCase())}</span>
+        <span>CASE NO. ${this.escape(caseNumber)}</span>
+      </div>
+      <div class="identity">
+        <img src="${this.escape(img)}" alt="">
+        <div class="grid">${cells}</div>
+      </div>
+      <footer>
+        <span>PRINTED BY ${this.escape(game.user.name.toUpperCase())} - ${new Date().toISOString().slice(0, 10)}</span>
+        <span>THIS DOCUMENT IS THE PROPERTY OF THE U.S. GOVERNMENT. DO NOT COPY.</span>
+      </footer>
+      <div class="banner">${this.escape(classification)}</div>
+    </section>`;
+  }
+  
+  /**
+   * Build complete printable document
+   * @param {Array<StoredRecord>} records - Records
+   * @param {boolean} handout - Redact every span
+   * @returns {string} HTML document
+   */
+  static buildDocument(records, handout) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>CASE FILES</title>
+  <base href="${window.location.origin}/">
+  <style>
+    body { font-family: "Courier New", Courier, monospace; color: #111; background: #fff; margin: 0; }
+    .toolbar { padding: 10px; background: #eee; border-bottom: 1px solid #999; }
+    .dossier { max-width: 800px; margin: 20px auto; padding: 20px; border: 2px solid #111; page-break-after: always; }
+    .banner { text-align: center; font-weight: bold; letter-spacing: 4px; border: 2px solid #111; padding: 4px; }
+    header { display: flex; justify-content: space-between; margin: 15px 0; font-weight: bold; }
+    .form-id { text-align: right; font-size: 0.8em; }
+    .title { display: flex; justify-content: space-between; border-top: 3px double #111; border-bottom: 3px double #111; padding: 6px 0; margin-bottom: 15px; font-weight: bold; }
+    .identity { display: flex; gap: 15px; align-items: flex-start; }
+    .identity img { width: 140px; height: 180px; object-fit: cover; border: 1px solid #111; filter: grayscale(1) contrast(1.2); }
+    .grid { flex: 1; display: flex; flex-wrap: wrap; border-left: 1px solid #111; border-top: 1px solid #111; }
+    .cell { flex: 1 1 45%; border-right: 1px solid #111; border-bottom: 1px solid #111; padding: 4px 6px; min-height: 36px; }
+    .cell.wide { flex-basis: 100%; min-height: 120px; }
+    .label { font-size: 0.65em; }
+    .value { font-size: 0.95em; text-transform: uppercase; margin-top: 2px; }
+    .redacted { background: #000; color: #000; letter-spacing: -1px; }
+    footer { display: flex; justify-content: space-between; gap: 10px; font-size: 0.65em; margin: 15px 0; }
+    @media print {
+      .toolbar { display: none; }
+      .dossier { margin: 0 auto; border: none; }
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">PRINT</button> ${records.length} FILE(S)</div>
+  ${records.map(record => this.renderDossier(record, handout)).join('\n')}
+</body>
+</html>`;
+  }
+  
+  /**
+   * Open print-friendly window for records the user is cleared for
+   * @param {Array<StoredRecord>} records - Records
+   */
+  static printRecords(records) {
+    const readable = records
+      .filter(r => ClearanceManager.canAccess(r))
+      .sort((a, b) => String(a.getFlag(DeltaGreenUI.ID, 'caseNumber') || '').localeCompare(String(b.getFlag(DeltaGreenUI.ID, 'caseNumber') || '')));
+    
+    if (readable.length === 0) {
+      ui.notifications.warn("No records to print");
+      return;
+    }
+    
+    const win = window.open('', '_blank');
+    if (!win) {
+      ui.notifications.error("Print window blocked by browser");
+      return;
+    }
+    
+    win.document.open();
+    win.document.write(this.buildDocument(readable, this.isHandout()));
+    win.document.close();
+  }
+}
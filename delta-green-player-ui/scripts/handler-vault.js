@@ -0,0 +1,92 @@
+/**
+ * Handler Vault for Delta Green Player UI
+ * Hidden journal entry without player ownership, holding data only the Handler may read
+ * (world settings are sent to every client, so they can't keep secrets)
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+
+export class HandlerVault {
+  static NAME = 'Delta Green UI - Handler Vault';
+  
+  // Vault creation in progress, shared so the entry is created once
+  static creating = null;
+  
+  /**
+   * Initialize handler vault
+   */
+  static async init() {
+    if (!game.user.isGM) return;
+    
+    console.log('Delta Green UI | Initializing handler vault');
+    
+    if (DeltaGreenUI.isPrimaryGM()) await this.ensureDocument();
+  }
+  
+  /**
+   * Get vault journal entry
+   * @returns {JournalEntry|undefined} Vault entry
+   */
+  static getDocument() {
+    return game.journal.find(entry => entry.getFlag(DeltaGreenUI.ID, 'handlerVault') === true);
+  }
+  
+  /**
+   * Check if a journal entry is the vault
+   * @param {JournalEntry} entry - Journal entry
+   * @returns {boolean} True for the vault
+   */
+  static isVault(entry) {
+    return entry?.getFlag(DeltaGreenUI.ID, 'handlerVault') === true;
+  }
+  
+  /**
+   * Create vault entry if it doesn't exist (GM only)
+   * @returns {Promise<JournalEntry|null>} Vault entry
+   */
+  static async ensureDocument() {
+    if (!game.user.isGM) return null;
+    
+    const existing = this.getDocument();
+    if (existing) return existing;
+    
+    this.creating ??= JournalEntry.create({
+      name: this.NAME,
+      ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+      flags: { [DeltaGreenUI.ID]: { handlerVault: true } }
+    }).finally(() => {
+      this.creating = null;
+    });
+    return this.creating;
+  }
+  
+  /**
+   * Read a vault value (GM only)
+   * @param {string} key - Value key
+   * @param {*} fallback - Value returned when not stored
+   * @returns {*} Stored value
+   */
+  static get(key, fallback = null) {
+    if (!game.user.isGM) return fallback;
+    
+    const value = this.getDocument()?.getFlag(DeltaGreenUI.ID, key);
+    if (value === undefined || value === null) return fallback;
+    
+    // Values written by earlier versions are plain objects
+    return typeof value === 'string' ? JSON.parse(value) : foundry.utils.deepClone(value);
+  }
+  
+  /**
+   * Store a vault value, replacing the previous one (GM only)
+   * @param {string} key - Value key
+   * @param {*} value - Value
+   */
+  static async set(key, value) {
+    if (!game.user.isGM) return;
+    
+    const vault = await this.ensureDocument();
+    
+    // Stored as a string so the value is replaced in a single update instead of being merged
+    await vault.update({ [`flags.${DeltaGreenUI.ID}.${key}`]: JSON.stringify(value) });
+  }
+}
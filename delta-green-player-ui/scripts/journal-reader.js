@@ -0,0 +1,519 @@
+/**
+ * Journal Reader for Delta Green Player UI
+ * JOURNAL view: entries the agent may observe as a directory tree, full-text search
+ * and page by page reading inside the terminal
+ */
+
+import { RecordStorage } from './record-storage.js';
+import { HandlerVault } from './handler-vault.js';
+
+export class JournalReader {
+  // Entry shown in reader (null on index), index of shown page and
+  // whether the reader shows a copy pushed by the Handler instead
+  static current = { entryId: null, pageIndex: 0, received: false };
+  
+  // Folder shown in index (null for root) and last full-text search
+  static folderId = null;
+  static query = '';
+  
+  // Search results shown at most, characters of context around a hit
+  static MAX_RESULTS = 50;
+  static SNIPPET_CONTEXT = 60;
+  
+  // Search score of a term found in entry name, page name or page text
+  static SCORE_ENTRY_NAME = 10;
+  static SCORE_PAGE_NAME = 5;
+  static SCORE_TEXT = 1;
+  
+  // Incremented on each render so late page enrichments are dropped
+  static renderToken = 0;
+  
+  /**
+   * Initialize journal reader
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing journal reader');
+    
+    // Refresh view when entries, pages or their permissions change
+    for (const documentName of ['JournalEntry', 'JournalEntryPage']) {
+      for (const action of ['create', 'update', 'delete']) {
+        Hooks.on(`${action}${documentName}`, () => this.refresh());
+      }
+    }
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Open an entry from index
+    $(document).on('click', '#dg-journals-list .dg-journal-entry', (e) => {
+      e.preventDefault();
+      this.openEntry($(e.currentTarget).data('journal-id'));
+    });
+    
+    // Open a search hit at the matching page
+    $(document).on('click', '#dg-journals-list .dg-journal-hit', (e) => {
+      e.preventDefault();
+      const $hit = $(e.currentTarget);
+      this.openEntry($hit.data('journal-id'), Number($hit.data('page-index')) || 0);
+    });
+    
+    // Browse folders
+    $(document).on('click', '#dg-journals-list .dg-journal-folder', (e) => {
+      e.preventDefault();
+      this.folderId = $(e.currentTarget).attr('data-folder-id') || null;
+      this.showIndex();
+    });
+    
+    // Full-text search
+    $(document).on('click', '#dg-journal-search-button', () => this.search($('#dg-journal-search').val()));
+    $(document).on('keypress', '#dg-journal-search', (e) => {
+      if (e.which === 13) this.search($('#dg-journal-search').val());
+    });
+    
+    // Back to index
+    $(document).on('click', '#dg-journal-back', (e) => {
+      e.preventDefault();
+      this.showIndex();
+    });
+    
+    // Page navigation
+    $(document).on('click', '#dg-journal-prev', () => this.showPage(this.current.pageIndex - 1));
+    $(document).on('click', '#dg-journal-next', () => this.showPage(this.current.pageIndex + 1));
+    $(document).on('click', '#dg-journal-pages .dg-journal-page-link', (e) => {
+      e.preventDefault();
+      this.showPage($(e.currentTarget).index());
+    });
+    
+    // Links to other entries or pages stay inside the terminal
+    $(document).on('click', '#dg-journal-page a.content-link', (e) => {
+      const target = fromUuidSync($(e.currentTarget).data('uuid'));
+      if (!target || !['JournalEntry', 'JournalEntryPage'].includes(target.documentName)) return;
+      
+      e.preventDefault();
+      e.stopPropagation();
+      const entry = target.documentName === 'JournalEntry' ? target : target.parent;
+      const pageIndex = target.documentName === 'JournalEntryPage' ? this.getPages(entry).indexOf(target) : 0;
+      this.openEntry(entry.id, Math.max(pageIndex, 0));
+    });
+  }
+  
+  /**
+   * Check if current user may read a journal entry in the terminal
+   * Records stored as Journal Entries are only read through RECORDS
+   * @param {JournalEntry} entry - Journal entry
+   * @returns {boolean} True if visible
+   */
+  static canRead(entry) {
+    if (RecordStorage.isRecordDocument(entry) || HandlerVault.isVault(entry)) return false;
+    return entry.testUserPermission(game.user, 'OBSERVER');
+  }
+  
+  /**
+   * Get entries current user may read, by name
+   * @returns {Array<JournalEntry>} Journal entries
+   */
+  static getEntries() {
+    return game.journal.contents
+      .filter(entry => this.canRead(entry))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Get journal folders holding readable entries, directly or in subfolders
+   * Other folders are hidden so their names don't leak
+   * @param {string|null} parentId - Parent folder ID (null for root)
+   * @returns {Array<Folder>} Folders by name
+   */
+  static getFolders(parentId) {
+    const entries = this.getEntries();
+    
+    return game.folders
+      .filter(folder => folder.type === 'JournalEntry' && (folder.folder?.id ?? null) === parentId)
+      .filter(folder => entries.some(entry => this.isInside(entry, folder)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Check if an entry is in a folder or one of its subfolders
+   * @param {JournalEntry} entry - Journal entry
+   * @param {Folder} folder - Folder
+   * @returns {boolean} True if inside
+   */
+  static isInside(entry, folder) {
+    for (let parent = entry.folder; parent; parent = parent.folder) {
+      if (parent.id === folder.id) return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Get directory path of a folder
+   * @param {Folder|null} folder - Folder (null for root)
+   * @returns {string} Path like /OPERATIONS/SUNFLOWER/
+   */
+  static getPath(folder) {
+    const names = [];
+    for (let parent = folder; parent; parent = parent.folder) {
+      names.unshift(`${parent.name.toUpperCase()}/`);
+    }
+    return `/${names.join('')}`;
+  }
+  
+  /**
+   * Get pages of an entry current user may read, in entry order
+   * @param {JournalEntry} entry - Journal entry
+   * @returns {Array<JournalEntryPage>} Pages
+   */
+  static getPages(entry) {
+    return entry.pages.contents
+      .filter(page => page.testUserPermission(game.user, 'OBSERVER'))
+      .sort((a, b) => a.sort - b.sort);
+  }
+  
+  /**
+   * Load JOURNAL view
+   */
+  static loadJournals() {
+    if (this.current.received) return;
+    if (this.current.entryId) this.openEntry(this.current.entryId, this.current.pageIndex);
+    else this.showIndex();
+  }
+  
+  /**
+   * Redraw JOURNAL view after a journal change
+   */
+  static refresh() {
+    if (!$('#dg-view-journal').hasClass('active')) return;
+    this.loadJournals();
+  }
+  
+  /**
+   * Display index: search results, or current folder of directory tree
+   */
+  static showIndex() {
+    this.current = { entryId: null, pageIndex: 0, received: false };
+    this.renderToken++;
+    
+    $('#dg-journal-reader').hide();
+    $('#dg-journal-index').show();
+    $('#dg-journal-search').val(this.query);
+    
+    const $list = $('#dg-journals-list');
+    if (!$list.length) {
+      console.error('Delta Green UI | Journals list not found');
+      return;
+    }
+    
+    $list.empty();
+    
+    if (this.query) this.displaySearchResults($list);
+    else this.displayFolder($list);
+  }
+  
+  /**
+   * Display subfolders and entries of current folder
+   * @param {jQuery} $list - Index list
+   */
+  static displayFolder($list) {
+    // Folder deleted or no longer holding readable entries
+    let folder = this.folderId ? game.folders.get(this.folderId) : null;
+    if (folder && !this.getEntries().some(entry => this.isInside(entry, folder))) folder = null;
+    this.folderId = folder?.id ?? null;
+    
+    $('#dg-journal-path').text(`DIRECTORY ${this.getPath(folder)}`);
+    
+    if (folder) {
+      $list.append($('<li class="dg-result-item dg-journal-folder">../</li>').attr('data-folder-id', folder.folder?.id ?? ''));
+    }
+    
+    this.getFolders(this.folderId).forEach(subfolder => {
+      $list.append($('<li class="dg-result-item dg-journal-folder"></li>')
+        .attr('data-folder-id', subfolder.id)
+        .text(`${subfolder.name.toUpperCase()}/`));
+    });
+    
+    const entries = this.getEntries().filter(entry => (entry.folder?.id ?? null) === this.folderId);
+    if (entries.length === 0 && !folder && $list.children().length === 0) {
+      $list.append('<li class="dg-result-item dg-no-entries">No journals found</li>');
+      return;
+    }
+    
+    entries.forEach(entry => {
+      const $item = $('<li class="dg-result-item dg-journal-entry"></li>').attr('data-journal-id', entry.id);
+      $item.append($('<span></span>').text(entry.name.toUpperCase()));
+      $item.append($('<span class="dg-journal-page-count"></span>').text(`${this.getPages(entry).length} PG`));
+      $list.append($item);
+    });
+  }
+  
+  /**
+   * Run a full-text search (an empty query goes back to the directory tree)
+   * @param {string} query - Search terms
+   */
+  static search(query) {
+    this.query = String(query || '').trim();
+    this.showIndex();
+  }
+  
+  /**
+   * Get searchable text of a page as the current user may read it
+   * @param {JournalEntryPage} page - Page
+   * @returns {string} Plain text
+   */
+  static getPageText(page) {
+    if (page.type === 'image') return page.image?.caption || '';
+    if (page.type !== 'text') return '';
+    
+    // Parsed without loading images, secret sections dropped for non-owners
+    const html = new DOMParser().parseFromString(page.text?.content || '', 'text/html');
+    if (!page.isOwner) html.querySelectorAll('section.secret').forEach(section => section.remove());
+    return (html.body.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Count occurrences of a term in a text
+   * @param {string} text - Lowercase text
+   * @param {string} term - Lowercase term
+   * @returns {number} Occurrences
+   */
+  static countTerm(text, term) {
+    let count = 0;
+    for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + term.length)) count++;
+    return count;
+  }
+  
+  /**
+   * Search readable pages, every term must be found in the entry name, page name or text
+   * @param {string} query - Search terms
+   * @returns {Array<Object>} Hits { entry, page, pageIndex, text, score }, best first
+   */
+  static getSearchHits(query) {
+    const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(t => t))];
+    const hits = [];
+    
+    this.getEntries().forEach(entry => {
+      const entryName = entry.name.toLowerCase();
+      
+      this.getPages(entry).forEach((page, pageIndex) => {
+        const text = this.getPageText(page);
+        const pageName = page.name.toLowerCase();
+        const lowerText = text.toLowerCase();
+        let score = 0;
+        
+        for (const term of terms) {
+          const termScore = this.countTerm(entryName, term) * this.SCORE_ENTRY_NAME
+            + this.countTerm(pageName, term) * this.SCORE_PAGE_NAME
+            + this.countTerm(lowerText, term) * this.SCORE_TEXT;
+          if (termScore === 0) return;
+          score += termScore;
+        }
+        
+        hits.push({ entry, page, pageIndex, text, score });
+      });
+    });
+    
+    return hits.sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name));
+  }
+  
+  /**
+   * Build snippet of text around first hit, with terms highlighted
+   * @param {string} text - Page text
+   * @param {Array<string>} terms - Search terms
+   * @returns {jQuery} Snippet
+   */
+  static buildSnippet(text, terms) {
+    const lowerText = text.toLowerCase();
+    const first = Math.min(...terms.map(t => lowerText.indexOf(t)).filter(i => i !== -1));
+    
+    let snippet = text.slice(0, this.SNIPPET_CONTEXT * 2);
+    if (Number.isFinite(first)) {
+      const start = Math.max(0, first - this.SNIPPET_CONTEXT);
+      snippet = `${start > 0 ? '...' : ''}${text.slice(start, first + this.SNIPPET_CONTEXT)}`;
+    }
+    if (snippet.length < text.length) snippet += '...';
+    
+    // Split on terms so that text stays escaped
+    const pattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    const $snippet = $('<div class="dg-journal-snippet"></div>');
+    snippet.split(pattern).forEach((part, index) => {
+      if (index % 2 === 1) $snippet.append($('<mark class="dg-journal-match"></mark>').text(part));
+      else $snippet.append(document.createTextNode(part));
+    });
+    
+    return $snippet;
+  }
+  
+  /**
+   * Display ranked search hits
+   * @param {jQuery} $list - Index list
+   */
+  static displaySearchResults($list) {
+    const terms = [...new Set(this.query.toLowerCase().split(/\s+/).filter(t => t))];
+    const hits = this.getSearchHits(this.query);
+    
+    $('#dg-journal-path').text(`SEARCH "${this.query.toUpperCase()}" - ${hits.length} HIT(S)`);
+    
+    if (hits.length === 0) {
+      $list.append('<li class="dg-result-item dg-no-entries">No matching pages</li>');
+      return;
+    }
+    
+    hits.slice(0, this.MAX_RESULTS).forEach(hit => {
+      const $item = $('<li class="dg-result-item dg-journal-hit"></li>')
+        .attr('data-journal-id', hit.entry.id)
+        .attr('data-page-index', hit.pageIndex);
+      
+      const $title = $('<div class="dg-journal-hit-title"></div>');
+      $title.append($('<span></span>').text(`${this.getPath(hit.entry.folder)}${hit.entry.name.toUpperCase()} > ${hit.page.name.toUpperCase()}`));
+      $title.append($('<span class="dg-journal-page-count"></span>').text(`SCORE ${hit.score}`));
+      
+      $item.append($title, this.buildSnippet(hit.text, terms));
+      $list.append($item);
+    });
+  }
+  
+  /**
+   * Open an entry in reader
+   * @param {string} entryId - Journal entry ID
+   * @param {number} pageIndex - Index of page to show
+   */
+  static openEntry(entryId, pageIndex = 0) {
+    const entry = game.journal.get(entryId);
+    
+    // Entry deleted or no longer shared with the agent
+    if (!entry || !this.canRead(entry)) {
+      if (this.current.entryId === entryId) ui.notifications.warn("ACCESS DENIED - FILE NO LONGER AVAILABLE");
+      this.showIndex();
+      return;
+    }
+    
+    this.current = { entryId, pageIndex: 0, received: false };
+    
+    $('#dg-journal-index').hide();
+    $('#dg-journal-reader').show();
+    $('#dg-journal-title').text(`${this.getPath(entry.folder)}${entry.name.toUpperCase()}`);
+    $('#dg-journal-push').show();
+    
+    const $pages = $('#dg-journal-pages');
+    $pages.empty();
+    this.getPages(entry).forEach(page => {
+      $pages.append($('<li class="dg-journal-page-link"></li>').text(page.name.toUpperCase()));
+    });
+    
+    this.showPage(pageIndex);
+  }
+  
+  /**
+   * Display a page of the opened entry
+   * @param {number} index - Page index (clamped to existing pages)
+   */
+  static async showPage(index) {
+    const entry = game.journal.get(this.current.entryId);
+    if (!entry) return;
+    
+    const pages = this.getPages(entry);
+    const $page = $('#dg-journal-page');
+    const token = ++this.renderToken;
+    
+    if (pages.length === 0) {
+      $page.empty().append('<div class="dg-no-entries">NO READABLE PAGES</div>');
+      $('#dg-journal-page-number').text('PAGE 0/0');
+      $('#dg-journal-prev, #dg-journal-next').prop('disabled', true);
+      return;
+    }
+    
+    this.current.pageIndex = Math.min(Math.max(index, 0), pages.length - 1);
+    const page = pages[this.current.pageIndex];
+    
+    $('#dg-journal-pages .dg-journal-page-link').removeClass('active').eq(this.current.pageIndex).addClass('active');
+    $('#dg-journal-page-number').text(`PAGE ${this.current.pageIndex + 1}/${pages.length}`);
+    $('#dg-journal-prev').prop('disabled', this.current.pageIndex === 0);
+    $('#dg-journal-next').prop('disabled', this.current.pageIndex === pages.length - 1);
+    
+    const $content = await this.renderPage(page);
+    
+    // Another page was asked for meanwhile
+    if (token !== this.renderToken) return;
+    
+    $page.empty();
+    if (page.title?.show !== false) {
+      $page.append($('<div class="dg-journal-page-title"></div>').text(page.name.toUpperCase()));
+    }
+    $page.append($content);
+    $page.scrollTop(0);
+  }
+  
+  /**
+   * Display a page pushed by the Handler, without its secret sections
+   * @param {JournalEntryPage} page - Page
+   */
+  static async showReceived(page) {
+    this.current = { entryId: null, pageIndex: 0, received: true };
+    const token = ++this.renderToken;
+    
+    $('#dg-journal-index').hide();
+    $('#dg-journal-reader').show();
+    $('#dg-journal-title').text(`RECEIVED: ${page.parent.name.toUpperCase()} > ${page.name.toUpperCase()}`);
+    $('#dg-journal-push').hide();
+    $('#dg-journal-pages').empty();
+    $('#dg-journal-page-number').text('');
+    $('#dg-journal-prev, #dg-journal-next').prop('disabled', true);
+    
+    const $content = await this.renderPage(page, { secrets: false });
+    
+    // Another page was asked for meanwhile
+    if (token !== this.renderToken) return;
+    
+    const $page = $('#dg-journal-page');
+    $page.empty().append($content);
+    $page.scrollTop(0);
+  }
+  
+  /**
+   * Render content of a page in terminal style
+   * @param {JournalEntryPage} page - Page
+   * @param {Object} options - Render options
+   * @param {boolean} options.secrets - Keep secret sections (owners of the page by default)
+   * @returns {Promise<jQuery>} Page content
+   */
+  static async renderPage(page, { secrets = page.isOwner } = {}) {
+    const $content = $('<div class="dg-journal-page-content"></div>');
+    
+    switch (page.type) {
+      case 'text': {
+        // Secret sections are only kept for owners of the page
+        const html = await TextEditor.enrichHTML(page.text?.content || '', {
+          async: true,
+          secrets,
+          relativeTo: page
+        });
+        $content.html(html);
+        break;
+      }
+      
+      case 'image':
+        $content.append($('<img class="dg-journal-image" alt="">').attr('src', page.src));
+        if (page.image?.caption) {
+          $content.append($('<div class="dg-journal-caption"></div>').text(page.image.caption));
+        }
+        break;
+      
+      case 'video':
+        $content.append($('<video class="dg-journal-image" controls></video>').attr('src', page.src));
+        break;
+      
+      default:
+        $content.append($('<div class="dg-no-entries"></div>').text(`DOCUMENT FORMAT NOT SUPPORTED BY THIS TERMINAL (${String(page.type).toUpperCase()})`));
+        if (page.src) {
+          $content.append($('<a class="dg-button" target="_blank" rel="noopener">OPEN FILE</a>').attr('href', page.src));
+        }
+    }
+    
+    return $content;
+  }
+}
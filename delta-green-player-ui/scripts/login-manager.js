@@ -0,0 +1,729 @@
+/**
+ * Login Manager for Delta Green Player UI
+ * Agent ID and passphrase check at the boot screen, failed attempts lockout
+ * and in-fiction accounts agents can log into
+ *
+ * Passphrase hashes are kept in the Handler vault and checked by the primary GM's client,
+ * which also keeps the lockouts, so agents with a passphrase can only log in while a GM is connected.
+ * Accounts agents are logged into are kept in a world setting only the primary GM writes,
+ * on a granted login, a LOG OUT request or when the agent connects or disconnects.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { ClearanceManager } from './clearance-manager.js';
+import { RecordsManager } from './records-manager.js';
+import { MailSystem } from './mail-system.js';
+import { SocketHandler } from './socket-handler.js';
+import { HandlerVault } from './handler-vault.js';
+
+export class LoginManager {
+  // Resolves the boot sequence waiting for credentials (null when no prompt is shown)
+  static pendingLogin = null;
+  
+  // Login request waiting for the Handler's answer { requestId, timeout }
+  static pendingRequest = null;
+  
+  // Time the Handler has to answer a login request (ms)
+  static REQUEST_TIMEOUT = 10000;
+  
+  static lockoutIntervalId = null;
+  
+  // Account this client last displayed, to refresh the terminal when the Handler changes it
+  static activeAccountId = null;
+  
+  /**
+   * Initialize login manager
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing login manager');
+    
+    // Credentials are checked by the Handler, requests never show in Foundry chat log
+    Hooks.on('createChatMessage', (message) => {
+      if (this.isLoginRequest(message)) this.onLoginRequest(message);
+    });
+    Hooks.on('renderChatMessage', (message, html) => {
+      if (this.isLoginRequest(message)) $(html).hide();
+    });
+    SocketHandler.registerHandlerMessage('loginResult', (payload) => this.onLoginResult(payload));
+    
+    // Every session starts under the agent's own identity
+    Hooks.on('userConnected', (user) => {
+      if (DeltaGreenUI.isPrimaryGM()) this.setSession(user, null);
+    });
+    
+    if (DeltaGreenUI.isPrimaryGM()) {
+      this.migrateCredentials();
+      this.clearInactiveSessions();
+    }
+    
+    this.activeAccountId = this.getActiveAccount()?.id ?? null;
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    $(document).on('click', '#dg-login-submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    
+    $(document).on('keypress', '#dg-login-form input', (e) => {
+      if (e.which === 13) {
+        e.preventDefault();
+        this.submit();
+      }
+    });
+  }
+  
+  /**
+   * Check if current user must log in at the boot screen
+   * @returns {boolean} True if login is required
+   */
+  static isRequired() {
+    return !game.user.isGM && game.settings.get(DeltaGreenUI.ID, 'loginRequired') === true;
+  }
+  
+  /**
+   * Get stored accounts (agents' credentials and in-fiction accounts)
+   * @returns {Object} Accounts by ID (user ID for agents' credentials)
+   */
+  static getAccounts() {
+    return game.settings.get(DeltaGreenUI.ID, 'loginAccounts') || {};
+  }
+  
+  /**
+   * Get passphrase hashes of accounts, kept in the Handler vault (GM only)
+   * @returns {Object} Credentials { salt, hash } by account ID
+   */
+  static getCredentials() {
+    return HandlerVault.get('loginCredentials', {});
+  }
+  
+  /**
+   * Move passphrase hashes stored with accounts by earlier versions to the Handler vault
+   * (same digest, so passphrases stay valid)
+   */
+  static async migrateCredentials() {
+    const accounts = foundry.utils.deepClone(this.getAccounts());
+    const legacy = Object.values(accounts).filter(account => account.hash);
+    if (legacy.length === 0) return;
+    
+    const credentials = this.getCredentials();
+    legacy.forEach(account => {
+      credentials[account.id] = { salt: account.salt, hash: account.hash };
+      account.hasPassphrase = true;
+      delete account.salt;
+      delete account.hash;
+    });
+    
+    await HandlerVault.set('loginCredentials', credentials);
+    await game.settings.set(DeltaGreenUI.ID, 'loginAccounts', accounts);
+    console.log(`Delta Green UI | ${legacy.length} passphrase hashes moved to handler vault`);
+  }
+  
+  /**
+   * Get an account
+   * @param {string} accountId - Account ID
+   * @returns {Object|null} Account
+   */
+  static getAccount(accountId) {
+    return this.getAccounts()[accountId] || null;
+  }
+  
+  /**
+   * Get in-fiction accounts (accounts not tied to a user)
+   * @returns {Array} Accounts
+   */
+  static getFictionAccounts() {
+    return Object.values(this.getAccounts()).filter(account => !account.userId);
+  }
+  
+  /**
+   * Check if an ID is an in-fiction account
+   * @param {string} accountId - Account ID
+   * @returns {boolean} True if in-fiction account
+   */
+  static isFictionAccount(accountId) {
+    const account = this.getAccount(accountId);
+    return !!account && !account.userId;
+  }
+  
+  /**
+   * Get agent ID a user logs in with
+   * @param {User} user - User
+   * @returns {string} Agent ID
+   */
+  static getAgentId(user = game.user) {
+    return this.getAccount(user.id)?.agentId || user.name.toUpperCase();
+  }
+  
+  /**
+   * Get in-fiction account a user is logged into
+   * @param {User} user - User (defaults to current user)
+   * @returns {Object|null} Account, null when logged in as themselves
+   */
+  static getActiveAccount(user = game.user) {
+    const accountId = game.settings.get(DeltaGreenUI.ID, 'loginSessions')?.[user.id];
+    return accountId && this.isFictionAccount(accountId) ? this.getAccount(accountId) : null;
+  }
+  
+  /**
+   * Get users currently logged into an in-fiction account
+   * @param {string} accountId - Account ID
+   * @returns {Array<User>} Users
+   */
+  static getSessionUsers(accountId) {
+    return game.users.filter(u => !u.isGM && this.getActiveAccount(u)?.id === accountId);
+  }
+  
+  /**
+   * Store the in-fiction account a user is logged into (GM only)
+   * @param {User} user - User
+   * @param {string|null} accountId - Account ID, null for the agent's own identity
+   */
+  static async setSession(user, accountId) {
+    const sessions = foundry.utils.deepClone(game.settings.get(DeltaGreenUI.ID, 'loginSessions') || {});
+    if ((sessions[user.id] ?? null) === accountId) return;
+    
+    if (accountId) sessions[user.id] = accountId;
+    else delete sessions[user.id];
+    await game.settings.set(DeltaGreenUI.ID, 'loginSessions', sessions);
+  }
+  
+  /**
+   * Close sessions of users who left while no GM was connected (GM only)
+   */
+  static async clearInactiveSessions() {
+    const sessions = game.settings.get(DeltaGreenUI.ID, 'loginSessions') || {};
+    const inactive = Object.keys(sessions).filter(userId => !game.users.get(userId)?.active);
+    if (inactive.length === 0) return;
+    
+    const update = foundry.utils.deepClone(sessions);
+    inactive.forEach(userId => delete update[userId]);
+    await game.settings.set(DeltaGreenUI.ID, 'loginSessions', update);
+  }
+  
+  /**
+   * Refresh the terminal when the Handler changes the account of current user
+   */
+  static onSessionsChanged() {
+    const accountId = this.getActiveAccount()?.id ?? null;
+    if (accountId === this.activeAccountId) return;
+    
+    this.activeAccountId = accountId;
+    if (!game.user.isGM && !this.pendingLogin) this.refreshIdentity();
+  }
+  
+  /**
+   * Get failed attempts and lockout of a user (kept by the Handler)
+   * @param {User} user - User (defaults to current user)
+   * @returns {Object} { failures, until }
+   */
+  static getLockout(user = game.user) {
+    return { failures: 0, until: 0, ...(game.settings.get(DeltaGreenUI.ID, 'loginLockouts')?.[user.id] || {}) };
+  }
+  
+  /**
+   * Store failed attempts and lockout of a user (GM only)
+   * @param {User} user - User
+   * @param {Object|null} lockout - { failures, until }, null to clear
+   */
+  static async setLockout(user, lockout) {
+    const lockouts = foundry.utils.deepClone(game.settings.get(DeltaGreenUI.ID, 'loginLockouts') || {});
+    if (!lockout && !lockouts[user.id]) return;
+    
+    if (lockout) lockouts[user.id] = lockout;
+    else delete lockouts[user.id];
+    await game.settings.set(DeltaGreenUI.ID, 'loginLockouts', lockouts);
+  }
+  
+  /**
+   * Get remaining lockout time of a user
+   * @param {User} user - User (defaults to current user)
+   * @returns {number} Remaining time (ms), 0 if not locked out
+   */
+  static getLockoutRemaining(user = game.user) {
+    return Math.max(0, this.getLockout(user).until - Date.now());
+  }
+  
+  /**
+   * Hash a passphrase with an account salt
+   * Web Crypto only exists in secure contexts (Foundry served over HTTPS or localhost)
+   * @param {string} passphrase - Passphrase
+   * @param {string} salt - Salt
+   * @returns {Promise<string>} Hex digest
+   */
+  static async hashPassphrase(passphrase, salt) {
+    if (!globalThis.crypto?.subtle) throw new Error("Passphrases need Foundry to be served over HTTPS or localhost");
+    
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${passphrase}`));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Check a passphrase against stored credentials
+   * @param {Object} credentials - { salt, hash }
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<boolean>} True if it matches
+   */
+  static async checkPassphrase(credentials, passphrase) {
+    return await this.hashPassphrase(passphrase, credentials.salt) === credentials.hash;
+  }
+  
+  /**
+   * Show login form in boot sequence and wait for valid credentials
+   * @returns {Promise<Object>} { agentId, account } once logged in
+   */
+  static prompt() {
+    return new Promise((resolve) => {
+      this.pendingLogin = resolve;
+      
+      $('#dg-login-agent').val(this.getAgentId());
+      $('#dg-login-passphrase').val('');
+      $('#dg-login-error').text('');
+      $('#dg-login-form').show();
+      
+      this.displayLockout();
+      $('#dg-login-passphrase').trigger('focus');
+    });
+  }
+  
+  /**
+   * Drop a login prompt left open by a previous boot sequence
+   */
+  static cancelPrompt() {
+    this.pendingLogin = null;
+    this.clearRequest();
+    this.stopLockoutCountdown();
+    $('#dg-login-form').hide();
+  }
+  
+  /**
+   * Check credentials typed in login form
+   */
+  static async submit() {
+    if (!this.pendingLogin || this.pendingRequest || this.getLockoutRemaining() > 0) return;
+    
+    const agentId = String($('#dg-login-agent').val() || '').trim().toUpperCase();
+    const passphrase = String($('#dg-login-passphrase').val() || '');
+    if (!agentId) return;
+    
+    $('#dg-login-passphrase').val('');
+    
+    // Agents without a passphrase log in as themselves with an empty one, no check needed
+    // (unless still logged into an account, which only the Handler can close)
+    if (agentId === this.getAgentId() && !passphrase && !this.getAccount(game.user.id)?.hasPassphrase
+      && !this.getActiveAccount()) {
+      this.completeLogin(agentId);
+      return;
+    }
+    
+    if (!game.users.some(u => u.isGM && u.active)) {
+      $('#dg-login-error').text('AUTHENTICATION SERVER UNREACHABLE - TRY AGAIN LATER');
+      return;
+    }
+    
+    const requestId = foundry.utils.randomID();
+    this.pendingRequest = {
+      requestId,
+      timeout: setTimeout(() => {
+        this.pendingRequest = null;
+        $('#dg-login-error').text('AUTHENTICATION SERVER UNREACHABLE - TRY AGAIN LATER');
+      }, this.REQUEST_TIMEOUT)
+    };
+    $('#dg-login-error').text('VERIFYING CREDENTIALS...');
+    
+    await this.sendRequest({ requestId, agentId, passphrase });
+  }
+  
+  /**
+   * Send a login or LOG OUT request to the Handler
+   * Whispered to the Handler only, so other agents never receive the passphrase
+   * @param {Object} request - { requestId, agentId, passphrase } or { requestId, logout }
+   */
+  static async sendRequest(request) {
+    await ChatMessage.create({
+      content: '[LOGIN REQUEST]',
+      user: game.user.id,
+      whisper: game.users.filter(u => u.isGM).map(u => u.id),
+      flags: {
+        [DeltaGreenUI.ID]: {
+          loginRequest: request
+        }
+      }
+    });
+  }
+  
+  /**
+   * Drop the login request waiting for an answer
+   */
+  static clearRequest() {
+    if (this.pendingRequest) clearTimeout(this.pendingRequest.timeout);
+    this.pendingRequest = null;
+  }
+  
+  /**
+   * Close login form and go on with the boot sequence
+   * @param {string} agentId - Agent ID logged in with
+   */
+  static completeLogin(agentId) {
+    this.refreshIdentity();
+    
+    const resolve = this.pendingLogin;
+    this.pendingLogin = null;
+    this.stopLockoutCountdown();
+    $('#dg-login-form').hide();
+    resolve?.({ agentId, account: this.getActiveAccount() });
+  }
+  
+  /**
+   * Check if a chat message is a login request
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} True for login requests
+   */
+  static isLoginRequest(message) {
+    return !!message.getFlag(DeltaGreenUI.ID, 'loginRequest');
+  }
+  
+  /**
+   * Check a login request (Handler side)
+   * The requester is the author Foundry recorded for the request message, not a payload field
+   * @param {ChatMessage} request - Request message
+   */
+  static async onLoginRequest(request) {
+    if (!DeltaGreenUI.isPrimaryGM()) return;
+    
+    const { requestId, agentId, passphrase, logout } = request.getFlag(DeltaGreenUI.ID, 'loginRequest');
+    const user = request.user;
+    
+    // The passphrase doesn't stay in the chat log
+    await request.delete();
+    if (!user || user.isGM) return;
+    
+    if (logout) {
+      await this.setSession(user, null);
+      return;
+    }
+    
+    const typedId = String(agentId || '').trim().toUpperCase();
+    const lockout = this.getLockout(user);
+    
+    // Locked out agents are denied without checking the passphrase
+    if (lockout.until > Date.now()) {
+      await SocketHandler.sendToUsers([user.id], 'loginResult', { requestId, granted: false, locked: true });
+      return;
+    }
+    
+    let accountId;
+    try {
+      accountId = await this.findAccount(user, typedId, String(passphrase ?? ''));
+    } catch (error) {
+      console.error('Delta Green UI | Error checking login:', error);
+      ui.notifications.error(error.message);
+    }
+    
+    if (accountId !== undefined) {
+      await this.setLockout(user, null);
+      await this.setSession(user, accountId);
+      if (accountId) await MailSystem.deliverAccountMail(user, accountId);
+      
+      await SocketHandler.sendToUsers([user.id], 'loginResult', { requestId, granted: true, agentId: typedId });
+      return;
+    }
+    
+    // Count the failure and lock the terminal out after too many
+    const maxAttempts = game.settings.get(DeltaGreenUI.ID, 'loginMaxAttempts');
+    const minutes = game.settings.get(DeltaGreenUI.ID, 'loginLockoutMinutes');
+    const failures = lockout.failures + 1;
+    const locked = failures >= maxAttempts;
+    
+    await this.setLockout(user, locked
+      ? { failures: 0, until: Date.now() + minutes * 60000 }
+      : { failures, until: 0 });
+    
+    if (locked) {
+      await this.alertHandler(`${user.name}: terminal locked out for ${minutes} min after ${failures} failed logins as "${typedId}"`);
+    } else {
+      await this.alertHandler(`${user.name}: failed login as "${typedId}" (${failures}/${maxAttempts})`);
+    }
+    
+    await SocketHandler.sendToUsers([user.id], 'loginResult', { requestId, granted: false, locked, attemptsLeft: maxAttempts - failures });
+  }
+  
+  /**
+   * Tell every GM about a login event with a whispered chat message (GM only)
+   * @param {string} text - Alert text
+   */
+  static async alertHandler(text) {
+    await ChatMessage.create({
+      content: $('<p>').text(`LOGIN ALERT - ${text}`).prop('outerHTML'),
+      user: game.user.id,
+      speaker: { alias: 'Delta Green UI' },
+      whisper: game.users.filter(u => u.isGM).map(u => u.id)
+    });
+  }
+  
+  /**
+   * Handle the Handler's answer to a login request
+   * @param {Object} payload - { requestId, granted, agentId, locked, attemptsLeft }
+   */
+  static onLoginResult({ requestId, granted, agentId, locked, attemptsLeft }) {
+    if (!this.pendingRequest || this.pendingRequest.requestId !== requestId) return;
+    this.clearRequest();
+    
+    if (granted) {
+      this.completeLogin(agentId);
+    } else if (locked) {
+      this.displayLockout();
+    } else {
+      $('#dg-login-error').text(`ACCESS DENIED - ${attemptsLeft} ATTEMPT(S) LEFT`);
+    }
+  }
+  
+  /**
+   * Find account matching credentials (GM only)
+   * Agents without a passphrase log in as themselves with an empty one
+   * @param {User} user - User logging in
+   * @param {string} agentId - Agent ID (upper case)
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<string|null|undefined>} In-fiction account ID, null for the agent's own identity, undefined if denied
+   */
+  static async findAccount(user, agentId, passphrase) {
+    const credentials = this.getCredentials();
+    
+    if (agentId === this.getAgentId(user)) {
+      const own = credentials[user.id];
+      if (own ? await this.checkPassphrase(own, passphrase) : passphrase === '') return null;
+    }
+    
+    for (const account of this.getFictionAccounts()) {
+      const accountCredentials = credentials[account.id];
+      if (account.agentId.toUpperCase() !== agentId || !accountCredentials) continue;
+      if (await this.checkPassphrase(accountCredentials, passphrase)) return account.id;
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Go back to the agent's own identity (LOG OUT)
+   */
+  static async endSession() {
+    if (game.user.isGM || !this.getActiveAccount()) return;
+    
+    // The Handler closes the session, the terminal refreshes once the change arrives
+    await this.sendRequest({ requestId: foundry.utils.randomID(), logout: true });
+  }
+  
+  /**
+   * Refresh terminal contents after an identity change
+   */
+  static refreshIdentity() {
+    $('#dg-crt-status').text(`LOGGED IN <${this.getActiveAccount()?.agentId.toUpperCase() || game.user.id}>`);
+    DeltaGreenUI.updateAgentName();
+    RecordsManager.loadRecords();
+    DeltaGreenUI.loadLastEntries();
+    MailSystem.currentThread = null;
+    MailSystem.loadMessages();
+    MailSystem.updateUnreadCounter();
+  }
+  
+  /**
+   * Disable login form while current user is locked out, with a countdown
+   */
+  static displayLockout() {
+    this.stopLockoutCountdown();
+    
+    const update = () => {
+      const remaining = this.getLockoutRemaining();
+      $('#dg-login-form input, #dg-login-submit').prop('disabled', remaining > 0);
+      
+      if (remaining === 0) {
+        this.stopLockoutCountdown();
+        $('#dg-login-error').text('');
+        return;
+      }
+      
+      const seconds = Math.ceil(remaining / 1000);
+      const countdown = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+      $('#dg-login-error').text(`TERMINAL LOCKED - RETRY IN ${countdown}`);
+    };
+    
+    update();
+    if (this.getLockoutRemaining() > 0) {
+      this.lockoutIntervalId = setInterval(update, 1000);
+    }
+  }
+  
+  /**
+   * Stop lockout countdown
+   */
+  static stopLockoutCountdown() {
+    if (this.lockoutIntervalId) {
+      clearInterval(this.lockoutIntervalId);
+      this.lockoutIntervalId = null;
+    }
+  }
+}
+
+/**
+ * Handler editor of agents' credentials and in-fiction accounts
+ */
+export class LoginAccountsConfig extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'dg-login-accounts-config',
+      title: 'Login Accounts',
+      template: `modules/${DeltaGreenUI.ID}/templates/login-accounts-config.html`,
+      width: 720,
+      height: 'auto',
+      closeOnSubmit: true
+    });
+  }
+  
+  /**
+   * In-fiction accounts being edited (kept between re-renders)
+   */
+  accounts = null;
+  
+  getData() {
+    const stored = LoginManager.getAccounts();
+    
+    if (!this.accounts) {
+      this.accounts = LoginManager.getFictionAccounts().map(account => ({ ...account, passphrase: '' }));
+    }
+    
+    return {
+      agents: game.users.filter(u => !u.isGM).map(user => ({
+        userId: user.id,
+        name: user.name,
+        agentId: stored[user.id]?.agentId || '',
+        defaultAgentId: user.name.toUpperCase(),
+        hasPassphrase: !!stored[user.id]?.hasPassphrase
+      })),
+      accounts: this.accounts.map(account => ({
+        ...account,
+        hasPassphrase: !!account.hasPassphrase,
+        levels: ClearanceManager.LEVELS.map((label, level) => ({
+          value: level,
+          label,
+          selected: level === account.level
+        })),
+        compartments: (account.compartments || []).join(', ')
+      }))
+    };
+  }
+  
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('.dg-account-add').on('click', (e) => {
+      e.preventDefault();
+      this.accounts = this._readAccounts(html);
+      this.accounts.push({ id: foundry.utils.randomID(), userId: null, name: '', agentId: '', level: 0, compartments: [], passphrase: '' });
+      this.render();
+    });
+    
+    html.find('.dg-account-remove').on('click', (e) => {
+      e.preventDefault();
+      this.accounts = this._readAccounts(html);
+      this.accounts.splice(Number($(e.currentTarget).closest('.dg-account-row').data('index')), 1);
+      this.render();
+    });
+  }
+  
+  /**
+   * Read in-fiction account rows currently displayed
+   * @param {jQuery} html - Editor content
+   * @returns {Array} Accounts (with typed passphrase)
+   * @private
+   */
+  _readAccounts(html) {
+    const stored = LoginManager.getAccounts();
+    
+    return html.find('.dg-account-row').toArray().map(row => {
+      const $row = $(row);
+      const id = $row.find('[name="id"]').val();
+      return {
+        id,
+        userId: null,
+        name: String($row.find('[name="name"]').val() || '').trim(),
+        agentId: String($row.find('[name="agentId"]').val() || '').trim().toUpperCase(),
+        level: Number($row.find('[name="level"]').val()) || 0,
+        compartments: ClearanceManager.parseCompartments($row.find('[name="compartments"]').val()),
+        passphrase: String($row.find('[name="passphrase"]').val() || ''),
+        hasPassphrase: !!stored[id]?.hasPassphrase
+      };
+    });
+  }
+  
+  async _updateObject(event, formData) {
+    this.accounts = this._readAccounts(this.element);
+    
+    const stored = LoginManager.getAccounts();
+    const credentials = LoginManager.getCredentials();
+    const accounts = {};
+    const passphrases = {};
+    const errors = [];
+    
+    // Agents' own credentials
+    this.element.find('.dg-agent-row').each((i, row) => {
+      const $row = $(row);
+      const userId = $row.find('[name="userId"]').val();
+      const user = game.users.get(userId);
+      accounts[userId] = {
+        id: userId,
+        userId,
+        agentId: String($row.find('[name="agentId"]').val() || '').trim().toUpperCase() || user.name.toUpperCase(),
+        hasPassphrase: !!stored[userId]?.hasPassphrase && !$row.find('[name="clear"]').is(':checked')
+      };
+      
+      const passphrase = String($row.find('[name="passphrase"]').val() || '');
+      if (passphrase) passphrases[userId] = passphrase;
+    });
+    
+    // In-fiction accounts
+    this.accounts.forEach(({ passphrase, ...account }) => {
+      if (!account.name) errors.push("Every account needs a name");
+      if (!account.agentId) errors.push(`${account.name || 'Account'}: agent ID is required`);
+      if (!account.hasPassphrase && !passphrase) errors.push(`${account.name || 'Account'}: passphrase is required`);
+      if (passphrase) passphrases[account.id] = passphrase;
+      accounts[account.id] = account;
+    });
+    
+    // Agent IDs identify who logs in, so they can't be shared
+    const agentIds = Object.values(accounts).map(account => account.agentId);
+    const duplicate = agentIds.find((agentId, index) => agentId && agentIds.indexOf(agentId) !== index);
+    if (duplicate) errors.push(`Agent ID ${duplicate} is used twice`);
+    
+    if (errors.length > 0) {
+      ui.notifications.error(errors[0]);
+      throw new Error(errors.join('; '));
+    }
+    
+    // Accounts are readable by every client, their hashes only go to the Handler vault
+    try {
+      for (const [id, passphrase] of Object.entries(passphrases)) {
+        const salt = foundry.utils.randomID(16);
+        credentials[id] = { salt, hash: await LoginManager.hashPassphrase(passphrase, salt) };
+        accounts[id].hasPassphrase = true;
+      }
+    } catch (error) {
+      ui.notifications.error(error.message);
+      throw error;
+    }
+    
+    // Cleared passphrases and removed accounts lose their hashes
+    Object.keys(credentials).forEach(id => {
+      if (!accounts[id]?.hasPassphrase) delete credentials[id];
+    });
+    
+    await HandlerVault.set('loginCredentials', credentials);
+    await game.settings.set(DeltaGreenUI.ID, 'loginAccounts', accounts);
+    ui.notifications.info("Login accounts saved");
+  }
+}
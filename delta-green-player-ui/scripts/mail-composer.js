@@ -0,0 +1,289 @@
+/**
+ * Handler mail composer for Delta Green Player UI
+ * Lets the GM send in-fiction mail under any sender identity,
+ * immediately, after a delay or on manual release.
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { MailSystem } from './mail-system.js';
+import { LoginManager } from './login-manager.js';
+import { HandlerVault } from './handler-vault.js';
+
+export class MailComposer {
+  // Interval between two checks of the delivery queue (ms)
+  static QUEUE_CHECK_INTERVAL = 5000;
+  
+  static queueIntervalId = null;
+  
+  // Changes of the queue, run one after another
+  static queueLock = Promise.resolve();
+  
+  /**
+   * Initialize mail composer
+   */
+  static init() {
+    if (!game.user.isGM) return;
+    
+    console.log('Delta Green UI | Initializing handler mail composer');
+    
+    // Initialize events
+    this.initEvents();
+    
+    if (DeltaGreenUI.isPrimaryGM()) this.migrateQueue();
+    
+    // Deliver scheduled mail when due
+    if (this.queueIntervalId) clearInterval(this.queueIntervalId);
+    this.queueIntervalId = setInterval(() => this.processQueue(), this.QUEUE_CHECK_INTERVAL);
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Handle transmit button
+    $(document).on('click', '#dg-handler-transmit', (e) => {
+      e.preventDefault();
+      this.submitComposer();
+    });
+    
+    // Enable delay input only for delayed delivery
+    $(document).on('change', '#dg-handler-delivery', (e) => {
+      $('#dg-handler-delay').prop('disabled', $(e.currentTarget).val() !== 'delay');
+    });
+    
+    // Handle release of a queued message
+    $(document).on('click', '.dg-handler-release', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.releaseMessage($(e.currentTarget).data('queue-id'));
+    });
+    
+    // Handle cancellation of a queued message
+    $(document).on('click', '.dg-handler-cancel', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.cancelMessage($(e.currentTarget).data('queue-id'));
+    });
+  }
+  
+  /**
+   * Get queued messages
+   * Kept in the Handler vault: they hold plaintext and passphrases
+   * @returns {Array} Queued messages
+   */
+  static getQueue() {
+    return HandlerVault.get('mailQueue', []);
+  }
+  
+  /**
+   * Save queued messages
+   * @param {Array} queue - Queued messages
+   */
+  static async setQueue(queue) {
+    await HandlerVault.set('mailQueue', queue);
+  }
+  
+  /**
+   * Change queued messages once every earlier change is stored
+   * @param {Function} change - Gets the current queue, returns the new one (null to keep it)
+   * @returns {Promise} Resolved when stored
+   */
+  static updateQueue(change) {
+    const run = this.queueLock.then(async () => {
+      const queue = change(this.getQueue());
+      if (queue) await this.setQueue(queue);
+    });
+    
+    // A failed change must not block the next ones
+    this.queueLock = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * Move a queue stored by earlier versions in the world setting (readable by agents) to the vault
+   */
+  static async migrateQueue() {
+    const legacy = game.settings.get(DeltaGreenUI.ID, 'mailQueue') || [];
+    if (legacy.length === 0) return;
+    
+    await this.updateQueue(queue => [...queue, ...legacy]);
+    await game.settings.set(DeltaGreenUI.ID, 'mailQueue', []);
+    console.log(`Delta Green UI | ${legacy.length} queued messages moved to handler vault`);
+  }
+  
+  /**
+   * Render recipient checkboxes in handler composer
+   */
+  static renderRecipients() {
+    const $list = $('#dg-handler-recipients');
+    if (!$list.length) return;
+    
+    const selected = $list.find('input:checked').map((i, el) => $(el).data('recipient-id')).get();
+    
+    // Agents and in-fiction accounts
+    const options = [
+      ...game.users.filter(u => !u.isGM).map(u => ({ id: u.id, name: u.name.toUpperCase() })),
+      ...LoginManager.getFictionAccounts().map(a => ({ id: a.id, name: a.name.toUpperCase() }))
+    ];
+    
+    $list.empty();
+    options.forEach(option => {
+      const checked = selected.includes(option.id) ? 'checked' : '';
+      $list.append(`
+        <li class="dg-mail-recipient">
+          <label><input type="checkbox" data-recipient-id="${option.id}" ${checked}> ${option.name}</label>
+        </li>
+      `);
+    });
+  }
+  
+  /**
+   * Display delivery queue in messages container
+   * @param {jQuery} container - Messages container
+   */
+  static displayQueue(container) {
+    this.renderRecipients();
+    
+    const queue = this.getQueue();
+    
+    if (queue.length === 0) {
+      container.append('<p>NO PENDING TRANSMISSIONS</p>');
+      return;
+    }
+    
+    queue.forEach(item => {
+      const recipients = item.recipients.map(r => MailSystem.formatRecipientName(r)).join(', ');
+      let delivery = item.deliverAt
+        ? `DELIVERY: ${MailSystem.formatDate(item.deliverAt)}`
+        : 'ON RELEASE';
+      if (item.passphrase) delivery += ' - ENCRYPTED';
+      
+      const itemDiv = $(`<div class="dg-message dg-handler-queued"></div>`);
+      itemDiv.append($('<div class="dg-message-sender"></div>').text(`${item.alias} > ${recipients}`));
+      itemDiv.append($('<div class="dg-message-meta"></div>').text(`${item.subject} - ${delivery}`));
+      itemDiv.append(`
+        <div class="dg-handler-queued-actions">
+          <button class="dg-button dg-handler-release" data-queue-id="${item.id}">RELEASE</button>
+          <button class="dg-button dg-handler-cancel" data-queue-id="${item.id}">CANCEL</button>
+        </div>
+      `);
+      container.append(itemDiv);
+    });
+  }
+  
+  /**
+   * Read handler composer and send or queue the message
+   */
+  static async submitComposer() {
+    const alias = $('#dg-handler-alias').val().trim();
+    const subject = $('#dg-handler-subject').val().trim();
+    const content = $('#dg-handler-content').val();
+    const passphrase = $('#dg-handler-passphrase').val().trim();
+    const delivery = $('#dg-handler-delivery').val();
+    const delay = Number($('#dg-handler-delay').val()) || 0;
+    const recipients = $('#dg-handler-recipients input:checked').map((i, el) => $(el).data('recipient-id')).get();
+    
+    if (!content.trim()) {
+      ui.notifications.error("Message content is required");
+      return;
+    }
+    
+    if (recipients.length === 0) {
+      ui.notifications.error("Select at least one recipient");
+      return;
+    }
+    
+    const item = {
+      id: foundry.utils.randomID(),
+      alias: alias || "HANDLER",
+      subject: subject || '(NO SUBJECT)',
+      recipients,
+      content,
+      passphrase: passphrase || null,
+      deliverAt: null,
+      createdAt: Date.now()
+    };
+    
+    if (delivery === 'now') {
+      await this.deliver(item);
+      ui.notifications.info("Message transmitted");
+    } else {
+      if (delivery === 'delay') {
+        item.deliverAt = Date.now() + delay * 60000;
+      }
+      await this.updateQueue(queue => [...queue, item]);
+      ui.notifications.info("Message queued for delivery");
+    }
+    
+    // Reset composer
+    $('#dg-handler-subject, #dg-handler-content, #dg-handler-passphrase').val('');
+    MailSystem.displayMessages();
+  }
+  
+  /**
+   * Send a queued message through the mail system
+   * @param {Object} item - Queued message
+   */
+  static async deliver(item) {
+    await MailSystem.sendMessage(item.content, {
+      subject: item.subject,
+      recipients: item.recipients,
+      alias: item.alias,
+      passphrase: item.passphrase
+    });
+  }
+  
+  /**
+   * Release a queued message immediately
+   * @param {string} queueId - Queued message ID
+   */
+  static async releaseMessage(queueId) {
+    let item = null;
+    
+    // Remove from queue first so a concurrent check can't send it twice
+    await this.updateQueue(queue => {
+      item = queue.find(i => i.id === queueId);
+      return item ? queue.filter(i => i !== item) : null;
+    });
+    if (!item) return;
+    
+    await this.deliver(item);
+    
+    ui.notifications.info("Message released");
+    MailSystem.displayMessages();
+  }
+  
+  /**
+   * Remove a queued message without sending it
+   * @param {string} queueId - Queued message ID
+   */
+  static async cancelMessage(queueId) {
+    await this.updateQueue(queue => queue.filter(i => i.id !== queueId));
+    MailSystem.displayMessages();
+  }
+  
+  /**
+   * Deliver every queued message whose delay has expired
+   */
+  static async processQueue() {
+    // Only one GM delivers to avoid duplicates
+    if (!DeltaGreenUI.isPrimaryGM()) return;
+    
+    const now = Date.now();
+    let due = [];
+    
+    await this.updateQueue(queue => {
+      due = queue.filter(i => i.deliverAt && i.deliverAt <= now);
+      return due.length > 0 ? queue.filter(i => !due.includes(i)) : null;
+    });
+    if (due.length === 0) return;
+    
+    for (const item of due) {
+      await this.deliver(item);
+    }
+    
+    if (MailSystem.currentFolder === 'handler') {
+      MailSystem.displayMessages();
+    }
+  }
+}
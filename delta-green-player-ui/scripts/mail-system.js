@@ -3,10 +3,57 @@
  */
 
 import { DeltaGreenUI } from './delta-green-ui.js';
+import { MailComposer } from './mail-composer.js';
+import { SocketHandler } from './socket-handler.js';
+import { LoginManager } from './login-manager.js';
+import { HandlerVault } from './handler-vault.js';
 
 export class MailSystem {
   static messages = [];
   
+  // Recipient key used to address every GM at once
+  static HANDLER = 'HANDLER';
+  
+  // Currently displayed folder ("inbox", "sent" or "handler" for GM)
+  static currentFolder = 'inbox';
+  
+  // Key of the thread currently opened (null = thread list)
+  static currentThread = null;
+  
+  // How long the incoming transmission banner stays on screen (ms)
+  static BANNER_DURATION = 4000;
+  
+  static bannerTimeoutId = null;
+  
+  // Number of threads (or thread messages) rendered per page
+  static PAGE_SIZE = 20;
+  
+  // Threads matching current folder and search, and how many are rendered
+  static visibleThreads = [];
+  static displayedThreads = 0;
+  
+  // Number of messages rendered in opened thread
+  static threadVisibleCount = 20;
+  
+  // Active search filters
+  static searchFilters = { text: '', sender: '', from: null, to: null };
+  
+  // Characters used to render ciphertext
+  static CIPHER_GLYPHS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789#%&@$*+=<>/|';
+  
+  // Plaintext of encrypted mail available to this user, by message ID
+  static plaintexts = new Map();
+  
+  // Encrypted messages this user asked to decrypt
+  static pendingDecryptions = new Set();
+  
+  // Wrong passphrases allowed before an agent is locked out of decryption, and lockout duration
+  static DECRYPT_MAX_ATTEMPTS = 5;
+  static DECRYPT_LOCKOUT_MINUTES = 10;
+  
+  // Decryption requests checked one after another (Handler side), so failures are all counted
+  static decryptLock = Promise.resolve();
+  
   /**
    * Initialize mail system
    */
@@ -19,6 +66,31 @@ export class MailSystem {
       this.loadMessages();
     });
     
+    // Track new mail even when the mail view is closed
+    Hooks.on('createChatMessage', (message) => {
+      if (this.isMailHelper(message)) {
+        this.onHelperReceived(message);
+        return;
+      }
+      if (this.isDecryptRequest(message)) {
+        this.onDecryptRequest(message);
+        return;
+      }
+      this.onMailReceived(message);
+    });
+    
+    // Key escrow, decrypted copies and delivered account mail never show in Foundry chat log,
+    // nor mail of in-fiction accounts for agents
+    Hooks.on('renderChatMessage', (message, html) => {
+      if (this.isMailHelper(message) || this.isDecryptRequest(message) || this.isDeliveredCopy(message)) $(html).hide();
+      else if (!game.user.isGM && this.isAccountMail(message)) $(html).hide();
+    });
+    
+    // Failed decryptions are answered by the Handler
+    SocketHandler.register('decryptResult', (payload) => this.onDecryptResult(payload));
+    
+    if (DeltaGreenUI.isPrimaryGM()) this.migrateAccountMail();
+    
     // Initialize events
     this.initEvents();
   }
@@ -31,40 +103,247 @@ export class MailSystem {
     $(document).on('keypress', '#dg-message-input', (e) => {
       if (e.which === 13 && !e.shiftKey) {
         e.preventDefault();
-        const content = $('#dg-message-input').val();
-        this.sendMessage(content);
-        $('#dg-message-input').val('');
+        this.sendFromComposer();
+      }
+    });
+    
+    // Handle send button
+    $(document).on('click', '#dg-send-message', (e) => {
+      e.preventDefault();
+      this.sendFromComposer();
+    });
+    
+    // Handle folder tabs
+    $(document).on('click', '#dg-mail-folders .dg-tab', (e) => {
+      const folder = $(e.currentTarget).data('folder');
+      $('#dg-mail-folders .dg-tab').removeClass('active');
+      $(e.currentTarget).addClass('active');
+      this.currentFolder = folder;
+      this.currentThread = null;
+      
+      // Handler folder has its own composer
+      $('.dg-mail-compose, #dg-mail-search').toggle(folder !== 'handler');
+      $('#dg-handler-compose').toggle(folder === 'handler');
+      
+      this.displayMessages();
+    });
+    
+    // Handle clicks on threads
+    $(document).on('click', '#dg-messages-container .dg-mail-thread', (e) => {
+      this.currentThread = $(e.currentTarget).attr('data-thread-key');
+      this.threadVisibleCount = this.PAGE_SIZE;
+      this.displayMessages();
+    });
+    
+    // Handle load more threads
+    $(document).on('click', '#dg-messages-container .dg-mail-more', () => {
+      this.displayNextPage($('#dg-messages-container'));
+    });
+    
+    // Handle load older messages of a thread
+    $(document).on('click', '#dg-messages-container .dg-mail-older', () => {
+      this.threadVisibleCount += this.PAGE_SIZE;
+      this.displayMessages();
+      $('#dg-messages-container').scrollTop(0);
+    });
+    
+    // Handle search
+    $(document).on('click', '#dg-mail-search-button', (e) => {
+      e.preventDefault();
+      this.readSearchFilters();
+      this.currentThread = null;
+      this.displayMessages();
+    });
+    
+    $(document).on('keypress', '#dg-mail-search input', (e) => {
+      if (e.which === 13) {
+        e.preventDefault();
+        $('#dg-mail-search-button').trigger('click');
+      }
+    });
+    
+    $(document).on('click', '#dg-mail-search-clear', (e) => {
+      e.preventDefault();
+      this.clearSearchFilters();
+      this.currentThread = null;
+      this.displayMessages();
+    });
+    
+    // Handle back to thread list
+    $(document).on('click', '#dg-mail-back', (e) => {
+      e.preventDefault();
+      this.currentThread = null;
+      this.displayMessages();
+    });
+    
+    // Handle click on incoming transmission banner
+    $(document).on('click', '#dg-incoming-banner', () => {
+      this.hideIncomingBanner();
+      $('.dg-menu-item[data-view="mail"]').trigger('click');
+    });
+    
+    // Handle decryption of an encrypted message
+    $(document).on('click', '.dg-mail-decrypt', (e) => {
+      e.preventDefault();
+      const $form = $(e.currentTarget).closest('.dg-mail-decrypt-form');
+      this.requestDecryption($(e.currentTarget).data('message-id'), $form.find('.dg-mail-passphrase').val());
+    });
+    
+    $(document).on('keypress', '.dg-mail-passphrase', (e) => {
+      if (e.which === 13) {
+        e.preventDefault();
+        $(e.currentTarget).closest('.dg-mail-decrypt-form').find('.dg-mail-decrypt').trigger('click');
       }
     });
+    
+    // Handle reply to current thread
+    $(document).on('click', '#dg-mail-reply', (e) => {
+      e.preventDefault();
+      this.prepareReply(this.currentThread);
+    });
   }
   
   /**
    * Load messages from Foundry chat
    */
   static loadMessages() {
-    // Get recent chat messages
-    const chatMessages = game.messages.contents.slice(-50);
-    
-    // Convert to interface format
-    this.messages = chatMessages.map(msg => {
-      return {
-        id: msg.id,
-        sender: this.formatSenderName(msg.user),
-        content: msg.content,
-        timestamp: msg.timestamp
-      };
-    });
+    // Index plaintext of encrypted mail first
+    this.indexHelperMessages();
+    
+    // Keep only mail visible to the current user, in interface format
+    this.messages = this.getVisibleEntries();
+    
+    // Update recipient selector
+    this.renderRecipients();
+    
+    // Update unread counter
+    this.updateUnreadCounter();
     
     // Display in interface
     this.displayMessages();
   }
   
+  /**
+   * Check whether a chat message was sent through the mail system
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} True if the message carries mail data
+   */
+  static isMail(message) {
+    return !!message.getFlag(DeltaGreenUI.ID, 'mail');
+  }
+  
+  /**
+   * Check whether a chat message is a copy of account mail delivered by the Handler on login
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} True for delivered copies
+   */
+  static isDeliveredCopy(message) {
+    return !!message.getFlag(DeltaGreenUI.ID, 'mail')?.copyOf;
+  }
+  
+  /**
+   * Get mail visible to the current user, in interface format
+   * A delivered copy and its original are the same mail entry
+   * @returns {Array} Mail entries
+   */
+  static getVisibleEntries() {
+    const entries = new Map();
+    game.messages.contents
+      .filter(msg => this.isMail(msg) && msg.visible)
+      .map(msg => this.toMailEntry(msg))
+      .forEach(entry => {
+        if (!entries.has(entry.id)) entries.set(entry.id, entry);
+      });
+    return [...entries.values()];
+  }
+  
+  /**
+   * Check whether a chat message is a hidden helper of an encrypted mail
+   * (key escrow for the Handler, or decrypted copy for an agent)
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} True for helper messages
+   */
+  static isMailHelper(message) {
+    return !!(message.getFlag(DeltaGreenUI.ID, 'mailKey') || message.getFlag(DeltaGreenUI.ID, 'mailDecrypted'));
+  }
+  
+  /**
+   * Check whether a chat message is a decryption request whispered to the Handler
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} True for decryption requests
+   */
+  static isDecryptRequest(message) {
+    return !!message.getFlag(DeltaGreenUI.ID, 'mailDecryptRequest');
+  }
+  
+  /**
+   * Get the encrypted message ID and plaintext carried by a helper message
+   * @param {ChatMessage} message - Helper message
+   * @returns {Object|null} { messageId, content }
+   */
+  static getHelperPlaintext(message) {
+    const key = message.getFlag(DeltaGreenUI.ID, 'mailKey');
+    if (key) return { messageId: key.messageId, content: key.content };
+    
+    const copy = message.getFlag(DeltaGreenUI.ID, 'mailDecrypted');
+    if (copy) return { messageId: copy.messageId, content: message.content };
+    
+    return null;
+  }
+  
+  /**
+   * Index plaintext of encrypted mail visible to current user
+   */
+  static indexHelperMessages() {
+    this.plaintexts.clear();
+    game.messages.contents
+      .filter(msg => this.isMailHelper(msg) && msg.visible)
+      .forEach(msg => {
+        const helper = this.getHelperPlaintext(msg);
+        this.plaintexts.set(helper.messageId, helper.content);
+      });
+  }
+  
+  /**
+   * Convert a chat message to interface format
+   * @param {ChatMessage} message - Chat message
+   * @returns {Object} Mail entry
+   */
+  static toMailEntry(message) {
+    const mail = message.getFlag(DeltaGreenUI.ID, 'mail');
+    const subject = mail.subject || '(NO SUBJECT)';
+    
+    // Delivered copies stand for the original mail, sent by its author
+    const id = mail.copyOf?.messageId ?? message.id;
+    const user = mail.copyOf ? game.users.get(mail.copyOf.userId) : message.user;
+    
+    let sender = this.formatSenderName(user);
+    if (mail.alias) sender = mail.alias.toUpperCase();
+    else if (mail.account) sender = this.formatRecipientName(mail.account);
+    
+    return {
+      id: id,
+      senderId: user?.id,
+      account: mail.account || null,
+      sender: sender,
+      recipients: mail.recipients || [],
+      subject: subject,
+      threadKey: this.getThreadKey(subject),
+      content: this.plaintexts.get(id) ?? message.content,
+      encrypted: !!mail.encrypted,
+      decrypted: !!mail.encrypted && this.plaintexts.has(id),
+      timestamp: mail.copyOf?.timestamp ?? message.timestamp
+    };
+  }
+  
   /**
    * Format sender name
    * @param {User} user - User who sent the message
    * @returns {string} Formatted name
    */
   static formatSenderName(user) {
+    if (!user) return "UNKNOWN";
+    
     // If GM, display "Handler"
     if (user.isGM) {
       return "HANDLER";
@@ -74,6 +353,153 @@ export class MailSystem {
     return user.name.toUpperCase();
   }
   
+  /**
+   * Format recipient name
+   * @param {string} recipientId - User ID or HANDLER key
+   * @returns {string} Formatted name
+   */
+  static formatRecipientName(recipientId) {
+    if (recipientId === this.HANDLER) return "HANDLER";
+    
+    const user = game.users.get(recipientId);
+    if (user) return this.formatSenderName(user);
+    
+    const account = LoginManager.getAccount(recipientId);
+    return account && !account.userId ? account.name.toUpperCase() : "UNKNOWN";
+  }
+  
+  /**
+   * Check if a chat message is mail involving an in-fiction account
+   * @param {ChatMessage} message - Chat message
+   * @returns {boolean} True if sent by or to an account
+   */
+  static isAccountMail(message) {
+    const mail = message.getFlag(DeltaGreenUI.ID, 'mail');
+    if (!mail) return false;
+    return !!mail.account || (mail.recipients || []).some(r => LoginManager.isFictionAccount(r));
+  }
+  
+  /**
+   * Get the list of users mail can be addressed to
+   * @returns {Array} List of { id, name } entries
+   */
+  static getRecipientOptions() {
+    const options = [];
+    
+    // Handler is always reachable, except from the Handler itself
+    if (!game.user.isGM) {
+      options.push({ id: this.HANDLER, name: "HANDLER" });
+    }
+    
+    // Every agent except the current user (an account may write to its own agent)
+    const account = LoginManager.getActiveAccount();
+    game.users.filter(u => !u.isGM && (account || u.id !== game.user.id)).forEach(u => {
+      options.push({ id: u.id, name: u.name.toUpperCase() });
+    });
+    
+    // In-fiction accounts, once discovered through mail
+    LoginManager.getFictionAccounts()
+      .filter(a => a.id !== account?.id)
+      .filter(a => this.messages.some(msg => msg.account === a.id || msg.recipients.includes(a.id)))
+      .forEach(a => options.push({ id: a.id, name: a.name.toUpperCase() }));
+    
+    return options;
+  }
+  
+  /**
+   * Render recipient checkboxes in composer
+   */
+  static renderRecipients() {
+    const $list = $('#dg-mail-recipients');
+    if (!$list.length) return;
+    
+    // Preserve current selection
+    const selected = this.getSelectedRecipients();
+    
+    $list.empty();
+    this.getRecipientOptions().forEach(option => {
+      const checked = selected.includes(option.id) ? 'checked' : '';
+      $list.append(`
+        <li class="dg-mail-recipient">
+          <label><input type="checkbox" data-recipient-id="${option.id}" ${checked}> ${option.name}</label>
+        </li>
+      `);
+    });
+  }
+  
+  /**
+   * Get recipients selected in composer
+   * @returns {Array<string>} Selected recipient IDs
+   */
+  static getSelectedRecipients() {
+    return $('#dg-mail-recipients input[type="checkbox"]:checked')
+      .map((i, el) => $(el).data('recipient-id'))
+      .get();
+  }
+  
+  /**
+   * Check whether mail is addressed to a user
+   * @param {Object} entry - Mail entry
+   * @param {User} user - User to check
+   * @returns {boolean} True if user is a recipient
+   */
+  static isAddressedTo(entry, user) {
+    // Agents logged into an in-fiction account only get the account's mail
+    const account = LoginManager.getActiveAccount(user);
+    if (account) return entry.recipients.includes(account.id);
+    
+    if (entry.recipients.includes(user.id)) return true;
+    return user.isGM && entry.recipients.includes(this.HANDLER);
+  }
+  
+  /**
+   * Normalize a subject into a thread key ("RE: RE: Foo" => "FOO")
+   * @param {string} subject - Mail subject
+   * @returns {string} Thread key
+   */
+  static getThreadKey(subject) {
+    return (subject || '')
+      .replace(/^(\s*(re|fwd?)\s*:\s*)+/i, '')
+      .trim()
+      .toUpperCase() || '(NO SUBJECT)';
+  }
+  
+  /**
+   * Get messages of current folder
+   * @returns {Array} Mail entries
+   */
+  static getFolderMessages() {
+    if (this.currentFolder === 'sent') {
+      const account = LoginManager.getActiveAccount();
+      return this.messages.filter(msg => msg.senderId === game.user.id && msg.account === (account?.id ?? null));
+    }
+    return this.messages.filter(msg => this.isAddressedTo(msg, game.user));
+  }
+  
+  /**
+   * Group mail entries into subject-based threads
+   * @param {Array} messages - Mail entries
+   * @returns {Array} Threads sorted by most recent activity
+   */
+  static groupThreads(messages) {
+    const threads = new Map();
+    
+    messages.forEach(msg => {
+      if (!threads.has(msg.threadKey)) {
+        threads.set(msg.threadKey, { key: msg.threadKey, messages: [] });
+      }
+      threads.get(msg.threadKey).messages.push(msg);
+    });
+    
+    return [...threads.values()]
+      .map(thread => {
+        thread.messages.sort((a, b) => a.timestamp - b.timestamp);
+        thread.last = thread.messages[thread.messages.length - 1];
+        return thread;
+      })
+      .sort((a, b) => b.last.timestamp - a.last.timestamp);
+  }
+  
   /**
    * Display messages in interface
    */
@@ -81,34 +507,618 @@ export class MailSystem {
     const container = $('#dg-messages-container');
     container.empty();
     
-    if (this.messages.length === 0) {
-      container.append('<p>NO MESSAGES</p>');
+    // Handler folder lists queued transmissions
+    if (this.currentFolder === 'handler') {
+      MailComposer.displayQueue(container);
       return;
     }
     
+    const folderMessages = this.getFolderMessages();
+    
+    // Thread view (always shows the whole thread, whatever the search)
+    if (this.currentThread) {
+      const thread = this.groupThreads(folderMessages).find(t => t.key === this.currentThread);
+      if (thread) {
+        this.displayThread(container, thread);
+        this.markRead(thread.messages);
+        return;
+      }
+      this.currentThread = null;
+    }
+    
+    this.visibleThreads = this.groupThreads(this.filterMessages(folderMessages));
+    this.displayedThreads = 0;
+    
+    if (this.visibleThreads.length === 0) {
+      const text = this.hasSearchFilters() ? 'NO MATCHING MESSAGES' : 'NO MESSAGES';
+      container.append(`<p class="dg-mail-empty">${text}</p>`);
+      return;
+    }
+    
+    // Thread list, one page at a time
+    this.displayNextPage(container);
+    container.scrollTop(0);
+    
+    // Load next page when scrolled to bottom
+    container.off('scroll.dgMail').on('scroll.dgMail', () => {
+      if (this.currentThread || this.currentFolder === 'handler') return;
+      if (container.scrollTop() + container.innerHeight() >= container[0].scrollHeight - 20) {
+        this.displayNextPage(container);
+      }
+    });
+  }
+  
+  /**
+   * Append next page of threads to the thread list
+   * @param {jQuery} container - Messages container
+   */
+  static displayNextPage(container) {
+    if (this.displayedThreads >= this.visibleThreads.length) return;
+    
+    const page = this.visibleThreads.slice(this.displayedThreads, this.displayedThreads + this.PAGE_SIZE);
+    
+    container.find('.dg-mail-more').remove();
+    page.forEach(thread => container.append(this.renderThreadRow(thread)));
+    this.displayedThreads += page.length;
+    
+    const remaining = this.visibleThreads.length - this.displayedThreads;
+    if (remaining > 0) {
+      container.append(`<div class="dg-message dg-mail-more">LOAD MORE (${remaining} REMAINING)</div>`);
+    }
+  }
+  
+  /**
+   * Build thread list row
+   * @param {Object} thread - Thread
+   * @returns {jQuery} Row element
+   */
+  static renderThreadRow(thread) {
+    const last = thread.last;
+    const correspondent = this.currentFolder === 'sent'
+      ? last.recipients.map(r => this.formatRecipientName(r)).join(', ')
+      : last.sender;
+    
+    const threadDiv = $(`<div class="dg-message dg-mail-thread"></div>`);
+    threadDiv.attr('data-thread-key', thread.key);
+    threadDiv.toggleClass('dg-mail-unread', thread.messages.some(msg => !this.isRead(msg)));
+    threadDiv.append($('<div class="dg-message-sender"></div>').text(`${correspondent} (${thread.messages.length})`));
+    threadDiv.append($('<div class="dg-message-content"></div>').text(`${thread.key} - ${this.formatDate(last.timestamp)}`));
+    return threadDiv;
+  }
+  
+  /**
+   * Display messages of a thread, most recent page first
+   * @param {jQuery} container - Messages container
+   * @param {Object} thread - Thread to display
+   */
+  static displayThread(container, thread) {
+    container.append(`
+      <div class="dg-mail-thread-header">
+        <button id="dg-mail-back" class="dg-button">&lt; BACK</button>
+        <button id="dg-mail-reply" class="dg-button">REPLY</button>
+      </div>
+    `);
+    container.append($('<div class="dg-mail-thread-subject"></div>').text(thread.key));
+    
+    // Older messages are only rendered on demand
+    const hidden = Math.max(0, thread.messages.length - this.threadVisibleCount);
+    if (hidden > 0) {
+      container.append(`<div class="dg-message dg-mail-older">LOAD ${Math.min(hidden, this.PAGE_SIZE)} OLDER MESSAGES</div>`);
+    }
+    
     // Add each message
-    this.messages.forEach(msg => {
-      const messageDiv = $(`<div class="dg-message"></div>`);
-      
-      // Determine name color based on user
-      const user = game.users.find(u => {
-        if (u.isGM && msg.sender === "HANDLER") return true;
-        return u.name.toUpperCase() === msg.sender;
-      });
-      
-      const color = user ? user.color : "#33ff33";
-      
-      // Add name and content
-      messageDiv.append(`<div class="dg-message-sender" style="color: ${color}">${msg.sender}</div>`);
-      messageDiv.append(`<div class="dg-message-content">${msg.content}</div>`);
-      
-      container.append(messageDiv);
+    thread.messages.slice(hidden).forEach(msg => {
+      container.append(this.renderMessageEntry(msg));
     });
     
     // Scroll to bottom
     container.scrollTop(container[0].scrollHeight);
   }
   
+  /**
+   * Build a single message element
+   * @param {Object} msg - Mail entry
+   * @returns {jQuery} Message element
+   */
+  static renderMessageEntry(msg) {
+    const messageDiv = $(`<div class="dg-message"></div>`);
+    messageDiv.attr('data-message-id', msg.id);
+    
+    // Determine name color based on user
+    const user = game.users.get(msg.senderId);
+    const color = user && !user.isGM ? user.color : "#33ff33";
+    
+    const recipients = msg.recipients.map(r => this.formatRecipientName(r)).join(', ');
+    
+    let meta = `TO: ${recipients} - ${this.formatDate(msg.timestamp)}`;
+    if (msg.encrypted) meta += msg.decrypted ? ' - DECRYPTED' : ' - ENCRYPTED';
+    
+    // Add name, recipients and content
+    messageDiv.append($(`<div class="dg-message-sender" style="color: ${color}"></div>`).text(msg.sender));
+    messageDiv.append($('<div class="dg-message-meta"></div>').text(meta));
+    messageDiv.append(`<div class="dg-message-content">${msg.content}</div>`);
+    
+    // Ciphertext stays unreadable until the Handler validates the passphrase
+    if (msg.encrypted && !msg.decrypted) {
+      messageDiv.find('.dg-message-content').addClass('dg-mail-encrypted');
+      if (!game.user.isGM) {
+        messageDiv.append(`
+          <div class="dg-mail-decrypt-form">
+            <input type="password" class="dg-form-input dg-mail-passphrase" placeholder="ENTER PASSPHRASE">
+            <button class="dg-button dg-mail-decrypt" data-message-id="${msg.id}">DECRYPT</button>
+            <div class="dg-mail-decrypt-status"></div>
+          </div>
+        `);
+      }
+    }
+    
+    return messageDiv;
+  }
+  
+  /**
+   * Add a new mail entry to the display without rebuilding it
+   * @param {Object} entry - Mail entry
+   */
+  static appendEntry(entry) {
+    const container = $('#dg-messages-container');
+    if (!container.length || this.currentFolder === 'handler') return;
+    
+    const folderMessages = this.getFolderMessages();
+    if (!folderMessages.includes(entry)) return;
+    
+    // Thread view: append message at the bottom
+    if (this.currentThread) {
+      if (entry.threadKey !== this.currentThread) return;
+      container.append(this.renderMessageEntry(entry));
+      container.scrollTop(container[0].scrollHeight);
+      this.threadVisibleCount++;
+      this.markRead([entry]);
+      return;
+    }
+    
+    if (!this.matchesFilters(entry)) return;
+    
+    // Thread list: move thread row to the top
+    this.visibleThreads = this.groupThreads(this.filterMessages(folderMessages));
+    const thread = this.visibleThreads.find(t => t.key === entry.threadKey);
+    const $existing = container.find('.dg-mail-thread').filter((i, el) => $(el).attr('data-thread-key') === entry.threadKey);
+    
+    if ($existing.length) {
+      $existing.remove();
+    } else {
+      this.displayedThreads++;
+    }
+    
+    container.find('.dg-mail-empty').remove();
+    container.prepend(this.renderThreadRow(thread));
+  }
+  
+  /**
+   * Read search filters from search bar
+   */
+  static readSearchFilters() {
+    const from = $('#dg-mail-search-from').val();
+    const to = $('#dg-mail-search-to').val();
+    
+    this.searchFilters = {
+      text: ($('#dg-mail-search-text').val() || '').trim().toLowerCase(),
+      sender: ($('#dg-mail-search-sender').val() || '').trim().toUpperCase(),
+      from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+      // Date range is inclusive of the whole end day
+      to: to ? new Date(`${to}T23:59:59.999`).getTime() : null
+    };
+  }
+  
+  /**
+   * Reset search filters and search bar
+   */
+  static clearSearchFilters() {
+    $('#dg-mail-search-text, #dg-mail-search-sender, #dg-mail-search-from, #dg-mail-search-to').val('');
+    this.searchFilters = { text: '', sender: '', from: null, to: null };
+  }
+  
+  /**
+   * Check if a search is active
+   * @returns {boolean} True if any filter is set
+   */
+  static hasSearchFilters() {
+    const f = this.searchFilters;
+    return !!(f.text || f.sender || f.from || f.to);
+  }
+  
+  /**
+   * Check if a mail entry matches current search filters
+   * @param {Object} entry - Mail entry
+   * @returns {boolean} True if entry matches
+   */
+  static matchesFilters(entry) {
+    const f = this.searchFilters;
+    
+    if (f.sender && !entry.sender.includes(f.sender)) return false;
+    if (f.from && entry.timestamp < f.from) return false;
+    if (f.to && entry.timestamp > f.to) return false;
+    
+    if (f.text) {
+      const text = `${entry.subject} ${$('<div>').html(entry.content).text()}`.toLowerCase();
+      if (!text.includes(f.text)) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Filter mail entries with current search filters
+   * @param {Array} messages - Mail entries
+   * @returns {Array} Matching entries
+   */
+  static filterMessages(messages) {
+    if (!this.hasSearchFilters()) return messages;
+    return messages.filter(msg => this.matchesFilters(msg));
+  }
+  
+  /**
+   * Get read state of current user
+   * @returns {Object} Map of message ID => true
+   */
+  static getReadMap() {
+    return game.user.getFlag(DeltaGreenUI.ID, 'readMail') || {};
+  }
+  
+  /**
+   * Check if a mail entry has been read by current user
+   * @param {Object} entry - Mail entry
+   * @returns {boolean} True if read (own messages are always read)
+   */
+  static isRead(entry) {
+    if (entry.senderId === game.user.id) return true;
+    return !!this.getReadMap()[entry.id];
+  }
+  
+  /**
+   * Mark mail entries as read for current user
+   * @param {Array} entries - Mail entries
+   */
+  static async markRead(entries) {
+    const unread = entries.filter(entry => !this.isRead(entry));
+    if (unread.length === 0) return;
+    
+    // Flag objects are merged, so only new IDs need to be sent
+    const update = {};
+    unread.forEach(entry => update[entry.id] = true);
+    await game.user.setFlag(DeltaGreenUI.ID, 'readMail', update);
+    
+    this.updateUnreadCounter();
+  }
+  
+  /**
+   * Count unread mail in current user's inbox
+   * @returns {number} Unread count
+   */
+  static getUnreadCount() {
+    return this.getVisibleEntries()
+      .filter(entry => this.isAddressedTo(entry, game.user) && !this.isRead(entry))
+      .length;
+  }
+  
+  /**
+   * Update unread counter on MAIL menu item
+   */
+  static updateUnreadCounter() {
+    const $counter = $('#dg-mail-unread');
+    if (!$counter.length) return;
+    
+    const count = this.getUnreadCount();
+    $counter.text(count > 0 ? `(${count})` : '');
+  }
+  
+  /**
+   * Handle a newly created chat message
+   * @param {ChatMessage} message - Created message
+   */
+  static onMailReceived(message) {
+    if (!this.isMail(message) || !message.visible) return;
+    
+    const entry = this.toMailEntry(message);
+    if (!this.isAddressedTo(entry, game.user) || entry.senderId === game.user.id) return;
+    
+    this.updateUnreadCounter();
+    
+    // Alert only if the agent is looking at another view
+    if (!$('#dg-view-mail').hasClass('active')) {
+      this.showIncomingBanner();
+    }
+  }
+  
+  /**
+   * Flash incoming transmission banner
+   */
+  static showIncomingBanner() {
+    const $banner = $('#dg-incoming-banner');
+    if (!$banner.length) return;
+    
+    $banner.show();
+    
+    if (this.bannerTimeoutId) clearTimeout(this.bannerTimeoutId);
+    this.bannerTimeoutId = setTimeout(() => this.hideIncomingBanner(), this.BANNER_DURATION);
+  }
+  
+  /**
+   * Hide incoming transmission banner
+   */
+  static hideIncomingBanner() {
+    $('#dg-incoming-banner').hide();
+    
+    if (this.bannerTimeoutId) {
+      clearTimeout(this.bannerTimeoutId);
+      this.bannerTimeoutId = null;
+    }
+  }
+  
+  /**
+   * Prefill composer to reply to a thread
+   * @param {string} threadKey - Thread key
+   */
+  static prepareReply(threadKey) {
+    const thread = this.groupThreads(this.messages).find(t => t.key === threadKey);
+    if (!thread) return;
+    
+    // Reply to every participant except ourselves
+    const participants = new Set();
+    thread.messages.forEach(msg => {
+      const sender = game.users.get(msg.senderId);
+      participants.add(msg.account || (sender?.isGM ? this.HANDLER : msg.senderId));
+      msg.recipients.forEach(r => participants.add(r));
+    });
+    participants.delete(LoginManager.getActiveAccount()?.id ?? game.user.id);
+    if (game.user.isGM) participants.delete(this.HANDLER);
+    
+    this.renderRecipients();
+    $('#dg-mail-recipients input[type="checkbox"]').each((i, el) => {
+      $(el).prop('checked', participants.has($(el).data('recipient-id')));
+    });
+    
+    $('#dg-mail-subject').val(`RE: ${thread.key}`);
+    $('#dg-message-input').focus();
+  }
+  
+  /**
+   * Replace every visible character with a random glyph
+   * @param {string} text - Plaintext
+   * @returns {string} Ciphertext of the same shape
+   */
+  static generateCiphertext(text) {
+    return text.replace(/\S/g, () => this.CIPHER_GLYPHS[Math.floor(Math.random() * this.CIPHER_GLYPHS.length)]);
+  }
+  
+  /**
+   * Normalize passphrase for comparison
+   * @param {string} passphrase - Passphrase
+   * @returns {string} Normalized passphrase
+   */
+  static normalizePassphrase(passphrase) {
+    return (passphrase || '').trim().toUpperCase();
+  }
+  
+  /**
+   * Ask the Handler to decrypt a message
+   * @param {string} messageId - Encrypted message ID
+   * @param {string} passphrase - Passphrase typed by the agent
+   */
+  static async requestDecryption(messageId, passphrase) {
+    const $status = $(`.dg-mail-decrypt[data-message-id="${messageId}"]`).siblings('.dg-mail-decrypt-status');
+    
+    if (!passphrase?.trim()) {
+      $status.text('PASSPHRASE REQUIRED');
+      return;
+    }
+    
+    // Verification happens on the Handler's client, which holds the key
+    if (!game.users.some(u => u.isGM && u.active)) {
+      $status.text('DECRYPTION SERVER UNREACHABLE - TRY AGAIN LATER');
+      return;
+    }
+    
+    this.pendingDecryptions.add(messageId);
+    $status.text('VERIFYING PASSPHRASE...');
+    
+    // Whispered to the Handler only, so other agents never receive the passphrase
+    await ChatMessage.create({
+      content: '[DECRYPTION REQUEST]',
+      user: game.user.id,
+      whisper: game.users.filter(u => u.isGM).map(u => u.id),
+      flags: {
+        [DeltaGreenUI.ID]: {
+          mailDecryptRequest: { messageId, passphrase }
+        }
+      }
+    });
+  }
+  
+  /**
+   * Check a decryption request (Handler side)
+   * The requester is the author Foundry recorded for the request message, not a payload field;
+   * plaintext still only goes to a recipient of the mail who gave the right passphrase
+   * @param {ChatMessage} request - Request message
+   */
+  static async onDecryptRequest(request) {
+    if (!DeltaGreenUI.isPrimaryGM()) return;
+    
+    const run = this.decryptLock.then(() => this.checkDecryptRequest(request));
+    this.decryptLock = run.catch(error => console.error('Delta Green UI | Error checking decryption request:', error));
+    await run;
+  }
+  
+  /**
+   * Get failed decryptions and lockout of a user, kept in the Handler vault (GM only)
+   * @param {string} userId - User ID
+   * @returns {Object} { failures, until }
+   */
+  static getDecryptLockout(userId) {
+    return { failures: 0, until: 0, ...(HandlerVault.get('decryptLockouts', {})[userId] || {}) };
+  }
+  
+  /**
+   * Store failed decryptions and lockout of a user (GM only)
+   * @param {string} userId - User ID
+   * @param {Object|null} lockout - { failures, until }, null to clear
+   */
+  static async setDecryptLockout(userId, lockout) {
+    const lockouts = HandlerVault.get('decryptLockouts', {});
+    if (!lockout && !lockouts[userId]) return;
+    
+    if (lockout) lockouts[userId] = lockout;
+    else delete lockouts[userId];
+    await HandlerVault.set('decryptLockouts', lockouts);
+  }
+  
+  /**
+   * Check a decryption request against the key and the agent's failed attempts (Handler side)
+   * @param {ChatMessage} request - Request message
+   */
+  static async checkDecryptRequest(request) {
+    const { messageId, passphrase } = request.getFlag(DeltaGreenUI.ID, 'mailDecryptRequest');
+    const user = request.user;
+    const userId = user?.id;
+    
+    // The passphrase doesn't stay in the chat log
+    await request.delete();
+    
+    // Locked out agents are denied without checking the passphrase
+    const lockout = this.getDecryptLockout(userId);
+    if (lockout.until > Date.now()) {
+      SocketHandler.emit('decryptResult', { messageId, userId, success: false, lockedUntil: lockout.until });
+      return;
+    }
+    
+    const message = game.messages.get(messageId);
+    const mail = message?.getFlag(DeltaGreenUI.ID, 'mail');
+    const escrow = game.messages.find(m => m.getFlag(DeltaGreenUI.ID, 'mailKey')?.messageId === messageId);
+    const key = escrow?.getFlag(DeltaGreenUI.ID, 'mailKey');
+    
+    const success = !!(user && mail && key
+      && this.isAddressedTo({ recipients: mail.recipients || [] }, user)
+      && this.normalizePassphrase(passphrase) === this.normalizePassphrase(key.passphrase));
+    
+    // Wrong passphrases are counted, too many lock the agent out for a while
+    let lockedUntil = 0;
+    if (success) {
+      await this.setDecryptLockout(userId, null);
+    } else if (userId) {
+      const failures = lockout.failures + 1;
+      if (failures >= this.DECRYPT_MAX_ATTEMPTS) lockedUntil = Date.now() + this.DECRYPT_LOCKOUT_MINUTES * 60000;
+      await this.setDecryptLockout(userId, lockedUntil ? { failures: 0, until: lockedUntil } : { failures, until: 0 });
+    }
+    
+    // Plaintext is only ever sent to the agent who gave the right passphrase
+    if (success) {
+      await ChatMessage.create({
+        content: key.content,
+        user: game.user.id,
+        whisper: [userId],
+        flags: {
+          [DeltaGreenUI.ID]: {
+            mailDecrypted: { messageId }
+          }
+        }
+      });
+    }
+    
+    SocketHandler.emit('decryptResult', { messageId, userId, success, lockedUntil });
+  }
+  
+  /**
+   * Handle decryption answer from the Handler
+   * @param {Object} payload - Result data
+   */
+  static onDecryptResult({ messageId, userId, success, lockedUntil }) {
+    if (userId !== game.user.id || success) return;
+    
+    this.pendingDecryptions.delete(messageId);
+    
+    const minutes = Math.ceil(((lockedUntil || 0) - Date.now()) / 60000);
+    $(`.dg-mail-decrypt[data-message-id="${messageId}"]`)
+      .siblings('.dg-mail-decrypt-status')
+      .text(minutes > 0 ? `DECRYPTION LOCKED - RETRY IN ${minutes} MIN` : 'ACCESS DENIED - INVALID PASSPHRASE');
+  }
+  
+  /**
+   * Handle a new key escrow or decrypted copy
+   * @param {ChatMessage} message - Helper message
+   */
+  static onHelperReceived(message) {
+    if (!message.visible) return;
+    
+    const helper = this.getHelperPlaintext(message);
+    this.plaintexts.set(helper.messageId, helper.content);
+    
+    const entry = this.messages.find(msg => msg.id === helper.messageId);
+    if (!entry || entry.decrypted) return;
+    
+    entry.content = helper.content;
+    entry.decrypted = true;
+    
+    // Refresh displayed message, with scramble effect if the agent asked for it
+    const $message = $(`#dg-messages-container .dg-message[data-message-id="${entry.id}"]`);
+    if (!$message.length) return;
+    
+    const animate = this.pendingDecryptions.delete(entry.id);
+    const $updated = this.renderMessageEntry(entry);
+    $message.replaceWith($updated);
+    
+    if (animate) {
+      this.animateDecryption($updated.find('.dg-message-content'), entry.content);
+    }
+  }
+  
+  /**
+   * Character-scramble animation revealing plaintext
+   * @param {jQuery} $content - Message content element
+   * @param {string} html - Final HTML content
+   */
+  static animateDecryption($content, html) {
+    const text = $('<div>').html(html.replace(/<br\s*\/?>/gi, '\n')).text();
+    const frames = 30;
+    let frame = 0;
+    
+    $content.addClass('dg-mail-decrypting');
+    
+    const timer = setInterval(() => {
+      frame++;
+      const revealed = Math.floor(text.length * frame / frames);
+      const scrambled = text.split('').map((char, i) => {
+        if (i < revealed || /\s/.test(char)) return char;
+        return this.CIPHER_GLYPHS[Math.floor(Math.random() * this.CIPHER_GLYPHS.length)];
+      }).join('');
+      
+      $content.text(scrambled);
+      
+      if (frame >= frames) {
+        clearInterval(timer);
+        $content.removeClass('dg-mail-decrypting').html(html);
+      }
+    }, 40);
+  }
+  
+  /**
+   * Format timestamp for display
+   * @param {number} timestamp - Timestamp in ms
+   * @returns {string} Formatted date
+   */
+  static formatDate(timestamp) {
+    const date = new Date(timestamp);
+    return date.toISOString().slice(0, 16).replace('T', ' ');
+  }
+  
+  /**
+   * Escape text and keep line breaks
+   * @param {string} text - Raw text
+   * @returns {string} HTML content
+   * @private
+   */
+  static _textToHtml(text) {
+    return $('<div>').text(text).html().replace(/\n/g, '<br>');
+  }
+  
   /**
    * Handle new chat message
    * @param {ChatLog} chatLog - Chat log
@@ -130,30 +1140,174 @@ export class MailSystem {
    * @param {Object} data - Message data
    */
   static renderChatMessage(message, html, data) {
+    // Only mail visible to this user is relevant
+    if (!this.isMail(message) || !message.visible) return;
+    
     // Add message to list
-    this.messages.push({
-      id: message.id,
-      sender: this.formatSenderName(message.user),
-      content: message.content,
-      timestamp: message.timestamp
-    });
+    const entry = this.toMailEntry(message);
+    if (this.messages.some(msg => msg.id === entry.id)) return;
+    this.messages.push(entry);
     
     // Update display
-    this.displayMessages();
+    this.appendEntry(entry);
+  }
+  
+  /**
+   * Send message written in composer
+   */
+  static async sendFromComposer() {
+    const content = $('#dg-message-input').val();
+    const subject = $('#dg-mail-subject').val();
+    const recipients = this.getSelectedRecipients();
+    
+    const sent = await this.sendMessage(content, { subject, recipients });
+    if (sent) {
+      $('#dg-message-input').val('');
+      
+      // Open the thread the message was sent to
+      if (!this.messages.some(msg => msg.id === sent.id)) {
+        this.messages.push(this.toMailEntry(sent));
+      }
+      this.currentFolder = 'sent';
+      this.currentThread = this.getThreadKey(subject);
+      this.threadVisibleCount = this.PAGE_SIZE;
+      $('#dg-mail-folders .dg-tab').removeClass('active');
+      $('#dg-mail-folders .dg-tab[data-folder="sent"]').addClass('active');
+      this.displayMessages();
+    }
   }
   
   /**
    * Send message
    * @param {string} content - Message content
+   * @param {Object} options - Mail options
+   * @param {string} options.subject - Mail subject
+   * @param {Array<string>} options.recipients - User IDs and/or HANDLER key
+   * @param {string} options.alias - Sender name displayed instead of the user (GM only)
+   * @param {string} options.passphrase - Encrypt message with this passphrase (GM only)
+   * @returns {Promise<ChatMessage|null>} Created message
    */
-  static sendMessage(content) {
-    if (!content.trim()) return;
+  static async sendMessage(content, { subject = '', recipients = [], alias = null, passphrase = null } = {}) {
+    if (!content.trim()) return null;
+    
+    if (recipients.length === 0) {
+      ui.notifications.error("Select at least one recipient");
+      return null;
+    }
+    
+    // Resolve HANDLER to every GM, and accounts to the agents logged into them
+    // (and GMs, who deliver it to agents logging in later)
+    const whisper = new Set();
+    recipients.forEach(r => {
+      if (r === this.HANDLER) {
+        game.users.filter(u => u.isGM).forEach(u => whisper.add(u.id));
+      } else if (LoginManager.isFictionAccount(r)) {
+        game.users.filter(u => u.isGM).forEach(u => whisper.add(u.id));
+        LoginManager.getSessionUsers(r).forEach(u => whisper.add(u.id));
+      } else {
+        whisper.add(r);
+      }
+    });
+    
+    const encrypted = game.user.isGM && !!passphrase;
     
-    // Create chat message
-    ChatMessage.create({
-      content: content,
+    // Create chat message as a whisper so only recipients receive it
+    const message = await ChatMessage.create({
+      content: this._textToHtml(encrypted ? this.generateCiphertext(content) : content),
       user: game.user.id,
-      speaker: ChatMessage.getSpeaker()
+      speaker: ChatMessage.getSpeaker(),
+      whisper: [...whisper],
+      flags: {
+        [DeltaGreenUI.ID]: {
+          mail: {
+            subject: subject.trim() || '(NO SUBJECT)',
+            recipients: recipients,
+            alias: game.user.isGM && alias ? alias : null,
+            account: LoginManager.getActiveAccount()?.id ?? null,
+            encrypted: encrypted
+          }
+        }
+      }
     });
+    
+    // Plaintext and passphrase are escrowed in a message only GMs receive
+    if (encrypted && message) {
+      await ChatMessage.create({
+        content: '[KEY ESCROW]',
+        user: game.user.id,
+        whisper: game.users.filter(u => u.isGM).map(u => u.id),
+        flags: {
+          [DeltaGreenUI.ID]: {
+            mailKey: {
+              messageId: message.id,
+              content: this._textToHtml(content),
+              passphrase: passphrase
+            }
+          }
+        }
+      });
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Stop whispering to every agent the account mail sent by earlier versions (GM only)
+   * Agents get it back as delivered copies when they log into the account
+   */
+  static async migrateAccountMail() {
+    const gmIds = game.users.filter(u => u.isGM).map(u => u.id);
+    
+    const updates = game.messages.contents
+      .filter(msg => this.isMail(msg) && !this.isDeliveredCopy(msg))
+      .map(msg => {
+        const recipients = msg.getFlag(DeltaGreenUI.ID, 'mail').recipients || [];
+        if (!recipients.some(r => LoginManager.isFictionAccount(r))) return null;
+        
+        const whisper = [...new Set([
+          ...gmIds,
+          ...msg.whisper.filter(id => recipients.includes(id)),
+          ...recipients.flatMap(r => LoginManager.getSessionUsers(r).map(u => u.id))
+        ])];
+        const changed = msg.whisper.some(id => !whisper.includes(id)) || whisper.some(id => !msg.whisper.includes(id));
+        return changed ? { _id: msg.id, whisper } : null;
+      })
+      .filter(update => update);
+    
+    if (updates.length === 0) return;
+    await ChatMessage.updateDocuments(updates);
+    console.log(`Delta Green UI | ${updates.length} account mails no longer whispered to every agent`);
+  }
+  
+  /**
+   * Deliver mail an in-fiction account received before a user logged into it (GM only)
+   * Copies are whispered to that user alone, so account mail only reaches agents who gave its passphrase
+   * @param {User} user - User who logged in
+   * @param {string} accountId - Account ID
+   */
+  static async deliverAccountMail(user, accountId) {
+    const delivered = new Set(game.messages.contents
+      .filter(msg => this.isDeliveredCopy(msg) && msg.whisper.includes(user.id))
+      .map(msg => msg.getFlag(DeltaGreenUI.ID, 'mail').copyOf.messageId));
+    
+    const copies = game.messages.contents
+      .filter(msg => this.isMail(msg) && !this.isDeliveredCopy(msg))
+      .filter(msg => (msg.getFlag(DeltaGreenUI.ID, 'mail').recipients || []).includes(accountId))
+      .filter(msg => msg.user?.id !== user.id && !msg.whisper.includes(user.id) && !delivered.has(msg.id))
+      .map(msg => ({
+        content: msg.content,
+        user: game.user.id,
+        whisper: [user.id],
+        flags: {
+          [DeltaGreenUI.ID]: {
+            mail: {
+              ...msg.getFlag(DeltaGreenUI.ID, 'mail'),
+              copyOf: { messageId: msg.id, userId: msg.user?.id ?? null, timestamp: msg.timestamp }
+            }
+          }
+        }
+      }));
+    
+    if (copies.length > 0) await ChatMessage.createDocuments(copies);
   }
 }
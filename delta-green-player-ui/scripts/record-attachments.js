@@ -0,0 +1,303 @@
+/**
+ * Record Attachments for Delta Green Player UI
+ * Gallery of photos and documents attached to records, with full-screen viewer
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordStorage } from './record-storage.js';
+
+export class RecordAttachments {
+  // File extensions shown as images or played as audio
+  static IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'avif', 'bmp'];
+  static AUDIO_EXTENSIONS = ['mp3', 'ogg', 'wav', 'flac', 'm4a', 'webm', 'opus'];
+  
+  // Zoom limits of viewer
+  static MIN_ZOOM = 0.25;
+  static MAX_ZOOM = 8;
+  
+  // Viewer state: attachments of opened record, shown index, zoom and pan offset
+  static viewer = { attachments: [], index: 0, zoom: 1, x: 0, y: 0 };
+  
+  /**
+   * Initialize record attachments
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing record attachments');
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Pick a file and attach it to current record
+    $(document).on('click', '#dg-attachment-add', (e) => {
+      e.preventDefault();
+      const record = RecordsManager.getRecord(RecordsManager.currentRecordId);
+      if (!record) return;
+      
+      new FilePicker({
+        type: 'any',
+        callback: (path) => this.addAttachment(record, path, $('#dg-attachment-caption').val(), $('#dg-attachment-date').val()),
+        title: 'Select a file to attach'
+      }).render(true);
+    });
+    
+    // Open attachment in viewer
+    $(document).on('click', '#dg-attachments-list .dg-attachment-open', (e) => {
+      e.preventDefault();
+      const record = RecordsManager.getRecord(RecordsManager.currentRecordId);
+      const index = $(e.currentTarget).closest('.dg-attachment').index();
+      this.openViewer(this.getAttachments(record), index);
+    });
+    
+    // Remove attachment
+    $(document).on('click', '#dg-attachments-list .dg-attachment-remove', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const record = RecordsManager.getRecord(RecordsManager.currentRecordId);
+      await this.removeAttachment(record, $(e.currentTarget).closest('.dg-attachment').data('attachment-id'));
+    });
+    
+    // Viewer controls
+    $(document).on('click', '#dg-viewer-close', () => this.closeViewer());
+    $(document).on('click', '#dg-viewer-prev', () => this.showAttachment(this.viewer.index - 1));
+    $(document).on('click', '#dg-viewer-next', () => this.showAttachment(this.viewer.index + 1));
+    $(document).on('click', '#dg-viewer-zoom-in', () => this.setZoom(this.viewer.zoom * 1.5));
+    $(document).on('click', '#dg-viewer-zoom-out', () => this.setZoom(this.viewer.zoom / 1.5));
+    $(document).on('click', '#dg-viewer-zoom-reset', () => this.setZoom(1, true));
+    
+    // Grainy photocopy filter
+    $(document).on('change', '#dg-viewer-photocopy', async (e) => {
+      await game.settings.set(DeltaGreenUI.ID, 'photocopyFilter', $(e.currentTarget).is(':checked'));
+      this.applyPhotocopyFilter();
+    });
+    
+    // Zoom with mouse wheel
+    $(document).on('wheel', '#dg-viewer-stage', (e) => {
+      e.preventDefault();
+      this.setZoom(this.viewer.zoom * (e.originalEvent.deltaY < 0 ? 1.2 : 1 / 1.2));
+    });
+    
+    // Pan zoomed image by dragging
+    $(document).on('mousedown', '#dg-viewer-image', (e) => {
+      e.preventDefault();
+      const start = { x: e.clientX - this.viewer.x, y: e.clientY - this.viewer.y };
+      
+      $(document).on('mousemove.dgViewer', (move) => {
+        this.viewer.x = move.clientX - start.x;
+        this.viewer.y = move.clientY - start.y;
+        this.updateTransform();
+      });
+      $(document).one('mouseup', () => $(document).off('mousemove.dgViewer'));
+    });
+    
+    // Keyboard navigation
+    $(document).on('keydown', (e) => {
+      if (!$('#dg-attachment-viewer').is(':visible')) return;
+      if (e.key === 'Escape') this.closeViewer();
+      if (e.key === 'ArrowLeft') this.showAttachment(this.viewer.index - 1);
+      if (e.key === 'ArrowRight') this.showAttachment(this.viewer.index + 1);
+    });
+  }
+  
+  /**
+   * Get attachments of a record, oldest date first
+   * @param {StoredRecord} record - Record
+   * @returns {Array} Attachments { id, path, caption, date, userName }
+   */
+  static getAttachments(record) {
+    const attachments = record?.getFlag(DeltaGreenUI.ID, 'attachments') || [];
+    return [...attachments].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  }
+  
+  /**
+   * Get kind of an attachment from its file extension
+   * @param {string} path - File path
+   * @returns {string} 'image', 'audio' or 'file'
+   */
+  static getKind(path) {
+    const extension = String(path).split('?')[0].split('.').pop().toLowerCase();
+    if (this.IMAGE_EXTENSIONS.includes(extension)) return 'image';
+    if (this.AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+    return 'file';
+  }
+  
+  /**
+   * Attach a file to a record
+   * @param {StoredRecord} record - Record
+   * @param {string} path - File path
+   * @param {string} caption - Caption
+   * @param {string} date - Date (YYYY-MM-DD)
+   */
+  static async addAttachment(record, path, caption, date) {
+    if (!record.isOwner) {
+      ui.notifications.error("Only the record owner can add attachments");
+      return;
+    }
+    
+    if (!path) return;
+    
+    const attachment = {
+      id: foundry.utils.randomID(),
+      path,
+      caption: String(caption || '').trim() || path.split('/').pop(),
+      date: date || new Date().toISOString().slice(0, 10),
+      userName: game.user.name
+    };
+    
+    await RecordStorage.update(record, { data: { attachments: [...this.getAttachments(record), attachment] } });
+    
+    $('#dg-attachment-caption, #dg-attachment-date').val('');
+    this.displayAttachments(record);
+  }
+  
+  /**
+   * Remove an attachment from a record (the file itself is kept)
+   * @param {StoredRecord} record - Record
+   * @param {string} attachmentId - Attachment ID
+   */
+  static async removeAttachment(record, attachmentId) {
+    if (!record?.isOwner) {
+      ui.notifications.error("Only the record owner can remove attachments");
+      return;
+    }
+    
+    await RecordStorage.update(record, { data: { attachments: this.getAttachments(record).filter(a => a.id !== attachmentId) } });
+    this.displayAttachments(record);
+  }
+  
+  /**
+   * Display attachments gallery of a record in case study form
+   * @param {StoredRecord} record - Record (null for a new record)
+   */
+  static displayAttachments(record) {
+    const $section = $('#dg-record-attachments');
+    if (!record) {
+      $section.hide();
+      return;
+    }
+    
+    $section.show();
+    const $list = $('#dg-attachments-list');
+    $list.empty();
+    
+    const attachments = this.getAttachments(record);
+    if (attachments.length === 0) {
+      $list.append('<div class="dg-no-entries">No attachments</div>');
+    }
+    
+    attachments.forEach(attachment => {
+      const $item = $('<div class="dg-attachment"></div>').attr('data-attachment-id', attachment.id);
+      const $preview = $('<div class="dg-attachment-open"></div>');
+      
+      if (this.getKind(attachment.path) === 'image') {
+        $preview.append($('<img class="dg-photocopy-target" alt="">').attr('src', attachment.path));
+      } else {
+        $preview.append($('<div class="dg-attachment-file"></div>').text(attachment.path.split('.').pop().toUpperCase()));
+      }
+      
+      $item.append($preview);
+      $item.append($('<div class="dg-attachment-caption"></div>').text(attachment.caption));
+      $item.append($('<div class="dg-attachment-date"></div>').text(attachment.date));
+      
+      if (record.isOwner) {
+        $item.append('<button class="dg-button dg-attachment-remove" title="Remove">X</button>');
+      }
+      $list.append($item);
+    });
+    
+    $('.dg-attachment-add-controls').toggle(record.isOwner);
+    this.applyPhotocopyFilter();
+  }
+  
+  /**
+   * Open full-screen viewer
+   * @param {Array} attachments - Attachments to browse
+   * @param {number} index - Index of first attachment shown
+   */
+  static openViewer(attachments, index = 0) {
+    if (attachments.length === 0) return;
+    
+    this.viewer.attachments = attachments;
+    $('#dg-viewer-photocopy').prop('checked', game.settings.get(DeltaGreenUI.ID, 'photocopyFilter'));
+    $('#dg-attachment-viewer').show();
+    this.showAttachment(index);
+  }
+  
+  /**
+   * Close full-screen viewer
+   */
+  static closeViewer() {
+    $('#dg-attachment-viewer').hide();
+    $('#dg-viewer-stage').empty();
+    this.viewer.attachments = [];
+  }
+  
+  /**
+   * Show an attachment in viewer
+   * @param {number} index - Attachment index (wraps around)
+   */
+  static showAttachment(index) {
+    const count = this.viewer.attachments.length;
+    if (count === 0) return;
+    
+    this.viewer.index = (index + count) % count;
+    const attachment = this.viewer.attachments[this.viewer.index];
+    const kind = this.getKind(attachment.path);
+    
+    const $stage = $('#dg-viewer-stage');
+    $stage.empty();
+    
+    if (kind === 'image') {
+      $stage.append($('<img id="dg-viewer-image" class="dg-photocopy-target" alt="">').attr('src', attachment.path));
+    } else if (kind === 'audio') {
+      $stage.append($('<audio controls></audio>').attr('src', attachment.path));
+    } else {
+      const $file = $('<div class="dg-viewer-file"></div>');
+      $file.append($('<div></div>').text(attachment.path.split('/').pop()));
+      $file.append($('<a class="dg-button" target="_blank" rel="noopener">OPEN FILE</a>').attr('href', attachment.path));
+      $stage.append($file);
+    }
+    
+    $('#dg-viewer-caption').text(`${attachment.caption} - ${attachment.date} [${this.viewer.index + 1}/${count}]`);
+    $('.dg-viewer-zoom').toggle(kind === 'image');
+    
+    this.setZoom(1, true);
+    this.applyPhotocopyFilter();
+  }
+  
+  /**
+   * Set zoom of viewer image
+   * @param {number} zoom - Zoom factor
+   * @param {boolean} reset - Also recenter image
+   */
+  static setZoom(zoom, reset = false) {
+    this.viewer.zoom = Math.min(this.MAX_ZOOM, Math.max(this.MIN_ZOOM, zoom));
+    if (reset) {
+      this.viewer.x = 0;
+      this.viewer.y = 0;
+    }
+    this.updateTransform();
+  }
+  
+  /**
+   * Apply zoom and pan offset to viewer image
+   */
+  static updateTransform() {
+    const { zoom, x, y } = this.viewer;
+    $('#dg-viewer-image').css('transform', `translate(${x}px, ${y}px) scale(${zoom})`);
+    $('#dg-viewer-zoom-reset').text(`${Math.round(zoom * 100)}%`);
+  }
+  
+  /**
+   * Apply grainy photocopy filter to gallery and viewer images if enabled
+   */
+  static applyPhotocopyFilter() {
+    const enabled = game.settings.get(DeltaGreenUI.ID, 'photocopyFilter');
+    $('#dg-attachments-list .dg-attachment-open, #dg-viewer-stage').toggleClass('dg-photocopy', enabled);
+  }
+}
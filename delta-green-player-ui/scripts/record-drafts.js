@@ -0,0 +1,287 @@
+/**
+ * Record Drafts for Delta Green Player UI
+ * Autosaved drafts of the case study form and unsaved changes protection
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordSchema } from './record-schema.js';
+import { ClearanceManager } from './clearance-manager.js';
+
+export class RecordDrafts {
+  // Draft key of records not saved yet
+  static NEW_RECORD = 'new';
+  
+  // Form values when the record was opened (null while the form isn't edited)
+  static pristine = null;
+  
+  // Stored draft offered for restore and not answered yet
+  static pendingDraft = null;
+  
+  /**
+   * Initialize record drafts
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing record drafts');
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Autosave on every change of the form
+    $(document).on('input change', '#dg-case-study-form input, #dg-case-study-form select, #dg-case-study-form textarea', () => {
+      this.saveDraft();
+    });
+    
+    // Restore offered draft
+    $(document).on('click', '#dg-draft-restore', (e) => {
+      e.preventDefault();
+      this.restoreDraft();
+    });
+    
+    // Drop offered draft
+    $(document).on('click', '#dg-draft-discard', (e) => {
+      e.preventDefault();
+      this.clearDraft(this.getDraftKey());
+      this.hideDraftNotice();
+    });
+  }
+  
+  /**
+   * Get local storage key of drafts of current user in this world
+   * @returns {string} Storage key
+   */
+  static getStorageKey() {
+    return `${DeltaGreenUI.ID}.drafts.${game.world.id}.${game.user.id}`;
+  }
+  
+  /**
+   * Get all drafts of current user
+   * @returns {Object} Drafts by record ID ('new' for a record not saved yet)
+   */
+  static getDrafts() {
+    try {
+      return JSON.parse(localStorage.getItem(this.getStorageKey())) || {};
+    } catch (error) {
+      console.warn('Delta Green UI | Unreadable record drafts, ignoring them:', error);
+      return {};
+    }
+  }
+  
+  /**
+   * Store all drafts of current user
+   * @param {Object} drafts - Drafts by record ID
+   */
+  static setDrafts(drafts) {
+    try {
+      if (Object.keys(drafts).length === 0) localStorage.removeItem(this.getStorageKey());
+      else localStorage.setItem(this.getStorageKey(), JSON.stringify(drafts));
+    } catch (error) {
+      console.error('Delta Green UI | Error storing record drafts:', error);
+    }
+  }
+  
+  /**
+   * Get draft key of the record shown in case study form
+   * @returns {string} Record ID or 'new'
+   */
+  static getDraftKey() {
+    return RecordsManager.currentRecordId || this.NEW_RECORD;
+  }
+  
+  /**
+   * Read current values of case study form
+   * @returns {Object} Form state
+   */
+  static collectForm() {
+    const recordType = RecordsManager.currentRecordType;
+    const values = {};
+    RecordSchema.getFields(recordType).forEach(field => {
+      values[field.key] = RecordSchema.getInputValue(field);
+    });
+    
+    return {
+      recordType,
+      caseNumber: $('#dg-case-number').text(),
+      values,
+      classification: $('#dg-classification').val(),
+      compartments: $('#dg-compartments').val(),
+      tags: $('#dg-record-tags').val()
+    };
+  }
+  
+  /**
+   * Start tracking changes of the record just shown in case study form
+   * @param {StoredRecord} record - Record (null for a new record)
+   */
+  static track(record) {
+    this.hideDraftNotice();
+    
+    // Agents who can't save the record have nothing to lose
+    if (record && !record.isOwner) {
+      this.pristine = null;
+      return;
+    }
+    
+    this.pristine = this.collectForm();
+    
+    const draft = this.getDrafts()[this.getDraftKey()];
+    if (draft) this.showDraftNotice(draft);
+  }
+  
+  /**
+   * Stop tracking changes (form closed)
+   */
+  static reset() {
+    this.pristine = null;
+    this.hideDraftNotice();
+  }
+  
+  /**
+   * Check if case study form holds changes not saved to the record
+   * @returns {boolean} True if changed
+   */
+  static hasUnsavedChanges() {
+    if (!this.pristine) return false;
+    return JSON.stringify(this.collectForm()) !== JSON.stringify(this.pristine);
+  }
+  
+  /**
+   * Store current form as draft of the record, or drop the draft if nothing changed
+   */
+  static saveDraft() {
+    if (!this.pristine) return;
+    
+    // Editing replaces a draft the agent didn't restore
+    if (this.pendingDraft) this.hideDraftNotice();
+    
+    const drafts = this.getDrafts();
+    const key = this.getDraftKey();
+    
+    if (this.hasUnsavedChanges()) {
+      drafts[key] = { ...this.collectForm(), savedAt: Date.now() };
+    } else {
+      delete drafts[key];
+    }
+    
+    this.setDrafts(drafts);
+  }
+  
+  /**
+   * Delete draft of a record
+   * @param {string} key - Record ID or 'new'
+   */
+  static clearDraft(key) {
+    const drafts = this.getDrafts();
+    if (!(key in drafts)) return;
+    
+    delete drafts[key];
+    this.setDrafts(drafts);
+  }
+  
+  /**
+   * Offer to restore a draft in case study form
+   * @param {Object} draft - Stored draft
+   */
+  static showDraftNotice(draft) {
+    this.pendingDraft = draft;
+    const savedAt = new Date(draft.savedAt).toISOString().replace('T', ' ').slice(0, 16);
+    $('#dg-draft-notice-text').text(`UNSAVED DRAFT FROM ${savedAt} - EDITING THE FORM REPLACES IT`);
+    $('#dg-record-draft-notice').show();
+  }
+  
+  /**
+   * Hide draft restore offer
+   */
+  static hideDraftNotice() {
+    this.pendingDraft = null;
+    $('#dg-record-draft-notice').hide();
+  }
+  
+  /**
+   * Fill case study form with offered draft
+   */
+  static restoreDraft() {
+    const draft = this.pendingDraft;
+    if (!draft) return;
+    
+    this.hideDraftNotice();
+    
+    // A new record may have been started with another type
+    if (!RecordsManager.currentRecordId) {
+      if (RecordSchema.RECORD_TYPES[draft.recordType] && draft.recordType !== RecordsManager.currentRecordType) {
+        RecordsManager.currentRecordType = draft.recordType;
+        RecordsManager.renderFormFields(draft.recordType);
+        $('#dg-profile-avatar').attr('src', RecordSchema.RECORD_TYPES[draft.recordType].icon);
+      }
+      if (draft.caseNumber) $('#dg-case-number').text(draft.caseNumber);
+    }
+    
+    RecordSchema.getFields(RecordsManager.currentRecordType).forEach(field => {
+      if (field.key in draft.values) RecordSchema.setInputValue(field, draft.values[field.key]);
+    });
+    
+    ClearanceManager.renderClassificationOptions(Number(draft.classification) || 0);
+    $('#dg-compartments').val(draft.compartments ?? '');
+    $('#dg-record-tags').val(draft.tags ?? '');
+    
+    this.saveDraft();
+    ui.notifications.info("Draft restored");
+  }
+  
+  /**
+   * Ask before an action that would discard unsaved changes
+   * @returns {Promise<boolean>} True if the action may go on
+   */
+  static async confirmDiscard() {
+    if (!this.hasUnsavedChanges()) return true;
+    
+    return new Promise((resolve) => {
+      const d = new Dialog({
+        title: "Unsaved Changes",
+        content: "This case study has unsaved changes. Keep a draft to restore later, or discard them?",
+        buttons: {
+          keep: {
+            icon: '<i class="fas fa-save"></i>',
+            label: "Keep Draft",
+            callback: () => {
+              this.saveDraft();
+              resolve(true);
+            }
+          },
+          discard: {
+            icon: '<i class="fas fa-trash"></i>',
+            label: "Discard",
+            callback: () => {
+              this.clearDraft(this.getDraftKey());
+              resolve(true);
+            }
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "Keep Editing",
+            callback: () => resolve(false)
+          }
+        },
+        default: "cancel",
+        close: () => resolve(false),
+        // Make dialog more visible
+        render: (html) => {
+          // Increase z-index to ensure it's above CRT interface
+          $(html).closest('.app').css('z-index', '10000');
+          // Add style to make dialog more visible
+          $(html).closest('.app').css('background-color', '#1a1a1a');
+          $(html).closest('.app').css('border', '2px solid #ffb000');
+          $(html).closest('.app').css('color', '#ffb000');
+          $(html).find('.dialog-buttons button').css('background-color', '#ffb000');
+          $(html).find('.dialog-buttons button').css('color', '#1a1a1a');
+        }
+      });
+      d.render(true);
+    });
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Record History for Delta Green Player UI
+ * Revision log with field-level diffs for every record save
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordSchema } from './record-schema.js';
+import { RedactionManager } from './redaction-manager.js';
+
+export class RecordHistory {
+  // Oldest revisions are dropped beyond this count
+  static MAX_REVISIONS = 100;
+  
+  /**
+   * Initialize record history
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing record history');
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Toggle history panel
+    $(document).on('click', '#dg-record-history-button', (e) => {
+      e.preventDefault();
+      const $panel = $('#dg-record-history');
+      
+      if ($panel.is(':visible')) {
+        $panel.hide();
+        return;
+      }
+      
+      this.displayHistory(RecordsManager.getRecord(RecordsManager.currentRecordId));
+      $panel.show();
+    });
+    
+    // Expand a revision
+    $(document).on('click', '#dg-record-history .dg-revision-header', (e) => {
+      $(e.currentTarget).siblings('.dg-revision-changes').toggle();
+    });
+    
+    // Restore a revision
+    $(document).on('click', '#dg-record-history .dg-revision-restore', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      
+      const record = RecordsManager.getRecord(RecordsManager.currentRecordId);
+      if (!record) return;
+      
+      await this.restoreRevision(record, $(e.currentTarget).data('revision-id'));
+    });
+  }
+  
+  /**
+   * Compare two values of a field
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if equal
+   */
+  static isEqual(a, b) {
+    return JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+  }
+  
+  /**
+   * Compute per-field diff between two versions of record data
+   * @param {Object} oldData - Previous data
+   * @param {Object} newData - New data
+   * @returns {Object} Map of field => { from, to }
+   */
+  static computeDiff(oldData, newData) {
+    const changes = {};
+    
+    for (const [key, value] of Object.entries(newData)) {
+      if (!this.isEqual(oldData[key], value)) {
+        changes[key] = { from: oldData[key] ?? '', to: value ?? '' };
+      }
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Get revisions of a record, oldest first
+   * @param {StoredRecord} record - Record
+   * @returns {Array} Revisions
+   */
+  static getRevisions(record) {
+    return record?.getFlag(DeltaGreenUI.ID, 'revisions') || [];
+  }
+  
+  /**
+   * Build revisions of a record with a new revision appended
+   * @param {StoredRecord} record - Record (null for a new record)
+   * @param {Object} changes - Per-field diff
+   * @param {Object} options - Revision options
+   * @param {string} options.restoredFrom - ID of restored revision
+   * @returns {Array|null} Revisions to store, null if nothing changed
+   */
+  static buildRevisions(record, changes, { restoredFrom = null } = {}) {
+    if (Object.keys(changes).length === 0) return null;
+    
+    return [...this.getRevisions(record), {
+      id: foundry.utils.randomID(),
+      userId: game.user.id,
+      userName: game.user.name,
+      timestamp: Date.now(),
+      changes,
+      restoredFrom
+    }].slice(-this.MAX_REVISIONS);
+  }
+  
+  /**
+   * Rebuild record data as it was right after a revision
+   * @param {StoredRecord} record - Record
+   * @param {string} revisionId - Revision ID
+   * @returns {Object|null} Record data
+   */
+  static getStateAt(record, revisionId) {
+    const revisions = this.getRevisions(record);
+    const index = revisions.findIndex(r => r.id === revisionId);
+    if (index === -1) return null;
+    
+    // Undo every later revision, most recent first
+    const data = RecordsManager.getRecordData(record);
+    for (let i = revisions.length - 1; i > index; i--) {
+      for (const [key, change] of Object.entries(revisions[i].changes)) {
+        data[key] = change.from;
+      }
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Check if current user may restore revisions of a record
+   * @param {StoredRecord} record - Record
+   * @returns {boolean} True for owners and GM
+   */
+  static canRestore(record) {
+    return game.user.isGM || record.isOwner;
+  }
+  
+  /**
+   * Restore a record to the state of a revision
+   * @param {StoredRecord} record - Record
+   * @param {string} revisionId - Revision ID
+   */
+  static async restoreRevision(record, revisionId) {
+    if (!this.canRestore(record)) {
+      ui.notifications.error("Only the record owner or the Handler can restore a revision");
+      return;
+    }
+    
+    const data = this.getStateAt(record, revisionId);
+    if (!data) return;
+    
+    try {
+      await RecordsManager.writeRecordData(record, data, { restoredFrom: revisionId });
+      ui.notifications.info("Revision restored");
+      
+      // Reload form with restored data
+      RecordsManager.showCaseStudyForm(record);
+      this.displayHistory(record);
+      $('#dg-record-history').show();
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      ui.notifications.error("Error restoring revision");
+    }
+  }
+  
+  /**
+   * Format a field value for display
+   * @param {*} value - Field value
+   * @param {StoredRecord} record - Record (used to hide redacted spans)
+   * @returns {string} Display value
+   */
+  static formatValue(value, record) {
+    if (Array.isArray(value)) value = value.join(', ');
+    const text = RedactionManager.toDisplay(String(value ?? ''), record);
+    if (!text) return '(EMPTY)';
+    return text.length > 60 ? `${text.slice(0, 60)}...` : text;
+  }
+  
+  /**
+   * Display history panel of a record
+   * @param {StoredRecord} record - Record (null for a new record)
+   */
+  static displayHistory(record) {
+    const $list = $('#dg-record-history-list');
+    if (!$list.length) return;
+    
+    $list.empty();
+    
+    const revisions = this.getRevisions(record);
+    if (revisions.length === 0) {
+      $list.append('<li class="dg-result-item dg-no-entries">No revisions recorded</li>');
+      return;
+    }
+    
+    const restorable = this.canRestore(record);
+    const labels = RecordsManager.getFieldLabels(RecordSchema.getRecordType(record));
+    
+    // Most recent first
+    [...revisions].reverse().forEach((revision, index) => {
+      const date = new Date(revision.timestamp).toISOString().slice(0, 16).replace('T', ' ');
+      const count = Object.keys(revision.changes).length;
+      const restored = revision.restoredFrom ? ' - RESTORE' : '';
+      
+      const $item = $(`<li class="dg-result-item dg-revision"></li>`);
+      const $header = $('<div class="dg-revision-header"></div>')
+        .text(`${date} - ${revision.userName.toUpperCase()} - ${count} FIELD(S)${restored}`);
+      
+      // The latest revision is the current state, nothing to restore
+      if (restorable && index > 0) {
+        $header.append(`<button class="dg-button dg-revision-restore" data-revision-id="${revision.id}">RESTORE</button>`);
+      }
+      
+      const $changes = $('<ul class="dg-revision-changes"></ul>');
+      for (const [key, change] of Object.entries(revision.changes)) {
+        const label = (labels[key] || key).toUpperCase();
+        $changes.append($('<li></li>').text(`${label}: ${this.formatValue(change.from, record)} > ${this.formatValue(change.to, record)}`));
+      }
+      
+      $item.append($header, $changes);
+      $list.append($item);
+    });
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Record Links for Delta Green Player UI
+ * Typed relationships between records and the LINK ANALYSIS graph
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordSchema } from './record-schema.js';
+import { ClearanceManager } from './clearance-manager.js';
+import { RecordStorage } from './record-storage.js';
+
+export class RecordLinks {
+  // Relationship types (label read from source to target)
+  static LINK_TYPES = {
+    employer: 'Employer of',
+    member: 'Member of',
+    seenWith: 'Seen with',
+    relative: 'Relative of',
+    associate: 'Associate of',
+    resides: 'Resides at',
+    owner: 'Owner of',
+    custody: 'Custodian of'
+  };
+  
+  // Graph size (SVG units)
+  static GRAPH_WIDTH = 800;
+  static GRAPH_HEIGHT = 500;
+  
+  /**
+   * Initialize record links
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing record links');
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Add link from current record
+    $(document).on('click', '#dg-link-add', async (e) => {
+      e.preventDefault();
+      const record = RecordsManager.getRecord(RecordsManager.currentRecordId);
+      if (!record) return;
+      
+      await this.addLink(record, $('#dg-link-target').val(), $('#dg-link-type').val());
+    });
+    
+    // Follow a cross-reference
+    $(document).on('click', '#dg-record-links-list .dg-link-open', (e) => {
+      e.preventDefault();
+      RecordsManager.openRecord($(e.currentTarget).closest('.dg-record-link').data('record-id'));
+    });
+    
+    // Remove a link
+    $(document).on('click', '#dg-record-links-list .dg-link-remove', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const $link = $(e.currentTarget).closest('.dg-record-link');
+      await this.removeLink(RecordsManager.getRecord($link.data('source-id')), $link.data('link-id'));
+    });
+    
+    // Open record from graph
+    $(document).on('click', '#dg-link-graph .dg-graph-node', (e) => {
+      const recordId = $(e.currentTarget).data('record-id');
+      $('.dg-menu-item[data-view="records"]').trigger('click');
+      RecordsManager.openRecord(recordId);
+    });
+    
+    // Show records without links in graph
+    $(document).on('change', '#dg-graph-unlinked', () => {
+      this.renderGraph();
+    });
+  }
+  
+  /**
+   * Get outgoing links of a record
+   * @param {StoredRecord} record - Record
+   * @returns {Array} Links { id, target, type }
+   */
+  static getLinks(record) {
+    return record?.getFlag(DeltaGreenUI.ID, 'links') || [];
+  }
+  
+  /**
+   * Get every link between existing records
+   * @returns {Array} Links { id, source, target, type }
+   */
+  static getAllLinks() {
+    const records = RecordsManager.getAllRecords();
+    const ids = new Set(records.map(r => r.id));
+    
+    return records.flatMap(record => this.getLinks(record)
+      .filter(link => ids.has(link.target))
+      .map(link => ({ ...link, source: record.id })));
+  }
+  
+  /**
+   * Add a link from a record to another
+   * @param {StoredRecord} record - Source record
+   * @param {string} targetId - Target record ID
+   * @param {string} type - Link type
+   */
+  static async addLink(record, targetId, type) {
+    if (!record.isOwner) {
+      ui.notifications.error("Only the record owner can add cross-references");
+      return;
+    }
+    
+    if (!targetId || targetId === record.id || !this.LINK_TYPES[type]) {
+      ui.notifications.warn("Select a record and a relationship");
+      return;
+    }
+    
+    const links = this.getLinks(record);
+    if (links.some(l => l.target === targetId && l.type === type)) {
+      ui.notifications.warn("Cross-reference already exists");
+      return;
+    }
+    
+    await RecordStorage.update(record, { data: { links: [...links, { id: foundry.utils.randomID(), target: targetId, type }] } });
+    this.displayLinks(record);
+  }
+  
+  /**
+   * Remove a link
+   * @param {StoredRecord} record - Source record
+   * @param {string} linkId - Link ID
+   */
+  static async removeLink(record, linkId) {
+    if (!record?.isOwner) {
+      ui.notifications.error("Only the record owner can remove this cross-reference");
+      return;
+    }
+    
+    await RecordStorage.update(record, { data: { links: this.getLinks(record).filter(l => l.id !== linkId) } });
+    this.displayLinks(RecordsManager.getRecord(RecordsManager.currentRecordId));
+  }
+  
+  /**
+   * Get label of a link type (links imported or kept from older versions may use unknown types)
+   * @param {string} type - Link type
+   * @returns {string} Label
+   */
+  static getTypeLabel(type) {
+    return this.LINK_TYPES[type] || 'Linked to';
+  }
+  
+  /**
+   * Short label of a record for cross-references
+   * @param {StoredRecord} record - Record
+   * @returns {string} Label
+   */
+  static getRecordLabel(record) {
+    const caseNumber = record.getFlag(DeltaGreenUI.ID, 'caseNumber') || '??????';
+    if (!ClearanceManager.canAccess(record)) return `CASE ${caseNumber} - ACCESS DENIED`;
+    return `CASE ${caseNumber} - ${RecordsManager.getRecordLabel(record)}`;
+  }
+  
+  /**
+   * Display cross-references of a record in case study form
+   * @param {StoredRecord} record - Record (null for a new record)
+   */
+  static displayLinks(record) {
+    const $section = $('#dg-record-links');
+    if (!record) {
+      $section.hide();
+      return;
+    }
+    
+    $section.show();
+    const $list = $('#dg-record-links-list');
+    $list.empty();
+    
+    const outgoing = this.getAllLinks().filter(l => l.source === record.id);
+    const incoming = this.getAllLinks().filter(l => l.target === record.id);
+    
+    if (outgoing.length === 0 && incoming.length === 0) {
+      $list.append('<li class="dg-result-item dg-no-entries">No cross-references</li>');
+    }
+    
+    const addItem = (link, otherId, text) => {
+      const other = RecordsManager.getRecord(otherId);
+      const source = RecordsManager.getRecord(link.source);
+      const $item = $('<li class="dg-result-item dg-record-link"></li>')
+        .attr({ 'data-record-id': otherId, 'data-source-id': link.source, 'data-link-id': link.id });
+      
+      const $text = $('<span></span>').text(`${text} ${this.getRecordLabel(other)}`);
+      if (ClearanceManager.canAccess(other)) $text.addClass('dg-link-open');
+      $item.append($text);
+      
+      if (source?.isOwner) {
+        $item.append('<button class="dg-button dg-link-remove" title="Remove">X</button>');
+      }
+      $list.append($item);
+    };
+    
+    outgoing.forEach(link => addItem(link, link.target, `${this.getTypeLabel(link.type).toUpperCase()} >`));
+    incoming.forEach(link => addItem(link, link.source, `< ${this.getTypeLabel(link.type).toUpperCase()}`));
+    
+    // Link controls
+    const $type = $('#dg-link-type');
+    $type.empty();
+    Object.entries(this.LINK_TYPES).forEach(([value, label]) => {
+      $type.append($('<option></option>').val(value).text(label.toUpperCase()));
+    });
+    
+    const $target = $('#dg-link-target');
+    $target.empty();
+    RecordsManager.getAllRecords()
+      .filter(r => r.id !== record.id && ClearanceManager.canAccess(r))
+      .forEach(r => $target.append($('<option></option>').val(r.id).text(this.getRecordLabel(r))));
+    
+    $('.dg-link-add-controls').toggle(record.isOwner);
+  }
+  
+  /**
+   * Compute node positions with a simple force-directed layout
+   * @param {Array<string>} nodes - Node IDs
+   * @param {Array} links - Links { source, target }
+   * @returns {Map} Node ID => { x, y }
+   */
+  static layout(nodes, links) {
+    const width = this.GRAPH_WIDTH;
+    const height = this.GRAPH_HEIGHT;
+    const positions = new Map();
+    
+    // Start on a circle so the layout is the same on every client
+    nodes.forEach((id, i) => {
+      const angle = (2 * Math.PI * i) / nodes.length;
+      positions.set(id, {
+        x: width / 2 + Math.cos(angle) * width / 3,
+        y: height / 2 + Math.sin(angle) * height / 3
+      });
+    });
+    
+    const k = Math.sqrt((width * height) / Math.max(1, nodes.length)) * 0.6;
+    let temperature = width / 10;
+    
+    for (let iteration = 0; iteration < 200; iteration++) {
+      const moves = new Map(nodes.map(id => [id, { x: 0, y: 0 }]));
+      
+      // Repulsion between every pair
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const a = positions.get(nodes[i]);
+          const b = positions.get(nodes[j]);
+          const dx = a.x - b.x || 0.01;
+          const dy = a.y - b.y || 0.01;
+          const distance = Math.sqrt(dx * dx + dy * dy);
+          const force = (k * k) / distance;
+          moves.get(nodes[i]).x += (dx / distance) * force;
+          moves.get(nodes[i]).y += (dy / distance) * force;
+          moves.get(nodes[j]).x -= (dx / distance) * force;
+          moves.get(nodes[j]).y -= (dy / distance) * force;
+        }
+      }
+      
+      // Attraction along links
+      links.forEach(link => {
+        const a = positions.get(link.source);
+        const b = positions.get(link.target);
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 0.01;
+        const force = (distance * distance) / k;
+        moves.get(link.source).x -= (dx / distance) * force;
+        moves.get(link.source).y -= (dy / distance) * force;
+        moves.get(link.target).x += (dx / distance) * force;
+        moves.get(link.target).y += (dy / distance) * force;
+      });
+      
+      // Move, limited by temperature, and keep inside the frame
+      nodes.forEach(id => {
+        const move = moves.get(id);
+        const length = Math.sqrt(move.x * move.x + move.y * move.y) || 1;
+        const position = positions.get(id);
+        position.x = Math.min(width - 40, Math.max(40, position.x + (move.x / length) * Math.min(length, temperature)));
+        position.y = Math.min(height - 20, Math.max(20, position.y + (move.y / length) * Math.min(length, temperature)));
+      });
+      
+      temperature *= 0.97;
+    }
+    
+    return positions;
+  }
+  
+  /**
+   * Draw network of records in LINK ANALYSIS view
+   */
+  static renderGraph() {
+    const $graph = $('#dg-link-graph');
+    if (!$graph.length) return;
+    
+    $graph.empty();
+    
+    // Only records the agent is cleared for appear in the network
+    const records = RecordsManager.getAllRecords().filter(r => ClearanceManager.canAccess(r));
+    const ids = new Set(records.map(r => r.id));
+    const links = this.getAllLinks().filter(l => ids.has(l.source) && ids.has(l.target));
+    
+    const showUnlinked = $('#dg-graph-unlinked').is(':checked');
+    const linked = new Set(links.flatMap(l => [l.source, l.target]));
+    const nodes = records.filter(r => showUnlinked || linked.has(r.id));
+    
+    if (nodes.length === 0) {
+      $graph.append('<div class="dg-no-entries">NO LINKED RECORDS</div>');
+      return;
+    }
+    
+    const positions = this.layout(nodes.map(r => r.id), links);
+    const svg = [`<svg viewBox="0 0 ${this.GRAPH_WIDTH} ${this.GRAPH_HEIGHT}" xmlns="http://www.w3.org/2000/svg">`];
+    
+    links.forEach(link => {
+      const a = positions.get(link.source);
+      const b = positions.get(link.target);
+      const label = $('<div>').text(this.getTypeLabel(link.type).toUpperCase()).html();
+      svg.push(`<line class="dg-graph-edge" x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}"></line>`);
+      svg.push(`<text class="dg-graph-edge-label" x="${(a.x + b.x) / 2}" y="${(a.y + b.y) / 2 - 4}">${label}</text>`);
+    });
+    
+    nodes.forEach(record => {
+      const { x, y } = positions.get(record.id);
+      const type = RecordSchema.RECORD_TYPES[RecordSchema.getRecordType(record)];
+      const label = $('<div>').text(`[${type.code}] ${RecordsManager.getRecordLabel(record)}`.slice(0, 30)).html();
+      svg.push(`<g class="dg-graph-node" data-record-id="${record.id}">
+        <rect x="${x - 6}" y="${y - 6}" width="12" height="12"></rect>
+        <text x="${x}" y="${y + 20}">${label}</text>
+      </g>`);
+    });
+    
+    svg.push('</svg>');
+    $graph.html(svg.join(''));
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Record Locks for Delta Green Player UI
+ * Soft edit locks shared over the module socket and save conflict resolution
+ */
+
+import { RecordsManager } from './records-manager.js';
+import { RecordHistory } from './record-history.js';
+import { RecordSchema } from './record-schema.js';
+import { RedactionManager } from './redaction-manager.js';
+import { SocketHandler } from './socket-handler.js';
+
+export class RecordLocks {
+  // Records opened for edition by other users (record ID => user ID)
+  static locks = new Map();
+  
+  // Record opened for edition by current user
+  static ownLock = null;
+  
+  // Stored data of the record when the form was opened (record ID and values)
+  static base = null;
+  
+  // Merge screen waiting for the user's choice
+  static pendingMerge = null;
+  
+  /**
+   * Initialize record locks
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing record locks');
+    
+    SocketHandler.register('recordLock', (payload) => this.onLock(payload));
+    SocketHandler.register('recordUnlock', (payload) => this.onUnlock(payload));
+    SocketHandler.register('recordLockQuery', () => {
+      if (this.ownLock) SocketHandler.emit('recordLock', { recordId: this.ownLock, userId: game.user.id });
+    });
+    
+    // Locks of disconnected users are released
+    Hooks.on('userConnected', (user, connected) => {
+      if (connected) return;
+      for (const [recordId, userId] of this.locks) {
+        if (userId === user.id) this.locks.delete(recordId);
+      }
+      this.displayLockWarning();
+    });
+    
+    // Ask connected users which records they are editing
+    SocketHandler.emit('recordLockQuery');
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Save with merged values
+    $(document).on('click', '#dg-merge-confirm', (e) => {
+      e.preventDefault();
+      this.closeMerge(true);
+    });
+    
+    // Back to form without saving
+    $(document).on('click', '#dg-merge-cancel', (e) => {
+      e.preventDefault();
+      this.closeMerge(false);
+    });
+  }
+  
+  /**
+   * Take soft lock on a record opened in case study form
+   * @param {StoredRecord} record - Record
+   */
+  static acquire(record) {
+    this.release();
+    
+    // Values as stored when editing starts, to detect concurrent changes on save
+    this.base = { recordId: record.id, data: RecordsManager.getRecordData(record), time: Date.now() };
+    
+    if (record.isOwner) {
+      this.ownLock = record.id;
+      SocketHandler.emit('recordLock', { recordId: record.id, userId: game.user.id });
+    }
+    
+    this.displayLockWarning();
+  }
+  
+  /**
+   * Release soft lock of current user
+   */
+  static release() {
+    if (this.ownLock) {
+      SocketHandler.emit('recordUnlock', { recordId: this.ownLock, userId: game.user.id });
+    }
+    
+    this.ownLock = null;
+    this.base = null;
+    $('#dg-record-lock-warning').hide();
+  }
+  
+  /**
+   * Handle lock taken by another user
+   * @param {Object} payload - { recordId, userId }
+   */
+  static onLock({ recordId, userId }) {
+    this.locks.set(recordId, userId);
+    this.displayLockWarning();
+  }
+  
+  /**
+   * Handle lock released by another user
+   * @param {Object} payload - { recordId, userId }
+   */
+  static onUnlock({ recordId, userId }) {
+    if (this.locks.get(recordId) === userId) this.locks.delete(recordId);
+    this.displayLockWarning();
+  }
+  
+  /**
+   * Get name of an agent for lock and merge messages
+   * @param {string} userId - User ID
+   * @returns {string} Agent name
+   */
+  static getAgentName(userId) {
+    const user = game.users.get(userId);
+    return (user?.character?.name || user?.name || 'UNKNOWN').toUpperCase();
+  }
+  
+  /**
+   * Show who else is editing the record shown in case study form
+   */
+  static displayLockWarning() {
+    const $warning = $('#dg-record-lock-warning');
+    const userId = this.locks.get(RecordsManager.currentRecordId);
+    
+    if (!RecordsManager.currentRecordId || !userId || !game.users.get(userId)?.active) {
+      $warning.hide();
+      return;
+    }
+    
+    $warning.text(`FILE IN USE BY AGENT ${this.getAgentName(userId)}`).show();
+  }
+  
+  /**
+   * Merge values being saved with changes stored since the form was opened
+   * Fields changed on one side only are merged silently, others go through the merge screen
+   * @param {StoredRecord} record - Record
+   * @param {Object} recordData - Values being saved (stored form)
+   * @returns {Promise<Object|null>} Values to save, null if the user cancelled
+   */
+  static async resolveConflicts(record, recordData) {
+    if (this.base?.recordId !== record.id) return recordData;
+    
+    const base = this.base.data;
+    const current = RecordsManager.getRecordData(record);
+    const merged = { ...recordData };
+    const conflicts = [];
+    
+    for (const key of Object.keys(recordData)) {
+      if (RecordHistory.isEqual(current[key], base[key])) continue;
+      
+      // Changed by someone else only: keep their value
+      if (RecordHistory.isEqual(recordData[key], base[key])) {
+        merged[key] = current[key];
+        continue;
+      }
+      
+      if (!RecordHistory.isEqual(recordData[key], current[key])) {
+        conflicts.push({ key, theirs: current[key], yours: recordData[key] });
+      }
+    }
+    
+    if (conflicts.length === 0) return merged;
+    
+    return new Promise((resolve) => {
+      this.pendingMerge = { resolve, merged, conflicts };
+      this.showMerge(record, conflicts);
+    });
+  }
+  
+  /**
+   * Display merge screen
+   * @param {StoredRecord} record - Record
+   * @param {Array} conflicts - Conflicting fields { key, theirs, yours }
+   */
+  static showMerge(record, conflicts) {
+    const labels = RecordsManager.getFieldLabels(RecordSchema.getRecordType(record));
+    const editors = [...new Set(RecordHistory.getRevisions(record)
+      .filter(r => r.timestamp > this.base.time && r.userId !== game.user.id)
+      .map(r => this.getAgentName(r.userId)))];
+    
+    $('#dg-merge-editors').text(`CHANGED WHILE YOU WERE EDITING BY: ${editors.join(', ') || 'UNKNOWN'}`);
+    
+    const format = (value) => {
+      if (Array.isArray(value)) value = value.join(', ');
+      return RedactionManager.toDisplay(String(value ?? ''), record) || '(EMPTY)';
+    };
+    
+    const $list = $('#dg-merge-list');
+    $list.empty();
+    
+    conflicts.forEach(conflict => {
+      const $field = $('<div class="dg-merge-field"></div>').attr('data-key', conflict.key);
+      $field.append($('<div class="dg-profile-label"></div>').text(labels[conflict.key] || conflict.key));
+      
+      const name = `dg-merge-${conflict.key}`;
+      const $theirs = $('<label class="dg-merge-choice"></label>');
+      $theirs.append($('<input type="radio" value="theirs">').attr('name', name));
+      $theirs.append($('<span class="dg-merge-side"></span>').text('STORED VERSION'));
+      $theirs.append($('<span class="dg-merge-value"></span>').text(format(conflict.theirs)));
+      
+      const $yours = $('<label class="dg-merge-choice"></label>');
+      $yours.append($('<input type="radio" value="yours" checked>').attr('name', name));
+      $yours.append($('<span class="dg-merge-side"></span>').text('YOUR VERSION'));
+      $yours.append($('<span class="dg-merge-value"></span>').text(format(conflict.yours)));
+      
+      $field.append($theirs, $yours);
+      $list.append($field);
+    });
+    
+    $('#dg-record-merge').show();
+    $('#dg-case-study-form').scrollTop(0);
+  }
+  
+  /**
+   * Close merge screen
+   * @param {boolean} confirmed - Save with chosen values
+   */
+  static closeMerge(confirmed) {
+    const pending = this.pendingMerge;
+    if (!pending) return;
+    
+    this.pendingMerge = null;
+    $('#dg-record-merge').hide();
+    
+    if (!confirmed) {
+      pending.resolve(null);
+      return;
+    }
+    
+    const merged = { ...pending.merged };
+    pending.conflicts.forEach(conflict => {
+      const choice = $(`#dg-merge-list input[name="dg-merge-${conflict.key}"]:checked`).val();
+      merged[conflict.key] = choice === 'theirs' ? conflict.theirs : conflict.yours;
+    });
+    
+    pending.resolve(merged);
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Record Query for Delta Green Player UI
+ * Database-terminal query language for the RECORDS search box
+ *
+ * Syntax:  phone:555-01*   zip:20001 sex:F   notes:"black van"   dob:1950..1960
+ *          terms are joined by AND (implicit), OR and NOT, grouped with parentheses
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordSchema } from './record-schema.js';
+import { ClearanceManager } from './clearance-manager.js';
+
+/**
+ * Error raised for malformed queries
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+export class RecordQuery {
+  // Short field names accepted in queries
+  static ALIASES = {
+    zip: 'zipCode',
+    dob: 'dateOfBirth',
+    case: 'caseNumber',
+    tag: 'tags',
+    type: 'recordType',
+    ref: 'reference'
+  };
+  
+  /**
+   * Split a query into tokens
+   * @param {string} query - Query text
+   * @returns {Array} Tokens { type, value, field, position }
+   */
+  static tokenize(query) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < query.length) {
+      const char = query[i];
+      
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char, position: i });
+        i++;
+        continue;
+      }
+      
+      const start = i;
+      let field = null;
+      
+      // Field prefix "name:"
+      const prefix = /^([A-Za-z][A-Za-z0-9]*):/.exec(query.slice(i));
+      if (prefix) {
+        field = prefix[1];
+        i += prefix[0].length;
+      }
+      
+      let value = '';
+      let quoted = false;
+      
+      if (query[i] === '"') {
+        const end = query.indexOf('"', i + 1);
+        if (end === -1) throw new QuerySyntaxError('UNTERMINATED STRING', i);
+        value = query.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else {
+        while (i < query.length && !/[\s()]/.test(query[i])) {
+          if (query[i] === '"') throw new QuerySyntaxError('UNEXPECTED QUOTE', i);
+          value += query[i];
+          i++;
+        }
+      }
+      
+      if (field !== null && !value && !quoted) {
+        throw new QuerySyntaxError(`MISSING VALUE FOR ${field.toUpperCase()}`, start);
+      }
+      
+      // Operators are only recognized unquoted and without field
+      if (!field && !quoted && ['AND', 'OR', 'NOT'].includes(value)) {
+        tokens.push({ type: value, position: start });
+      } else {
+        tokens.push({ type: 'term', field, value, quoted, position: start });
+      }
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * Parse a query into an expression tree
+   * @param {string} query - Query text
+   * @returns {Object} Expression node
+   */
+  static parse(query) {
+    const tokens = this.tokenize(query);
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    
+    const parseOr = () => {
+      let node = parseAnd();
+      while (peek()?.type === 'OR') {
+        next();
+        node = { op: 'or', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+    
+    const parseAnd = () => {
+      let node = parseNot();
+      while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+        if (peek().type === 'AND') next();
+        node = { op: 'and', left: node, right: parseNot() };
+      }
+      return node;
+    };
+    
+    const parseNot = () => {
+      if (peek()?.type === 'NOT') {
+        next();
+        return { op: 'not', operand: parseNot() };
+      }
+      return parsePrimary();
+    };
+    
+    const parsePrimary = () => {
+      const token = next();
+      
+      if (!token) {
+        throw new QuerySyntaxError('UNEXPECTED END OF QUERY', query.length);
+      }
+      
+      if (token.type === '(') {
+        const node = parseOr();
+        if (next()?.type !== ')') throw new QuerySyntaxError('MISSING )', query.length);
+        return node;
+      }
+      
+      if (token.type !== 'term') {
+        throw new QuerySyntaxError(`UNEXPECTED ${token.type}`, token.position);
+      }
+      
+      return this.buildTerm(token);
+    };
+    
+    if (tokens.length === 0) throw new QuerySyntaxError('EMPTY QUERY', 0);
+    
+    const tree = parseOr();
+    if (index < tokens.length) {
+      throw new QuerySyntaxError(`UNEXPECTED ${tokens[index].type === 'term' ? tokens[index].value : tokens[index].type}`, tokens[index].position);
+    }
+    
+    return tree;
+  }
+  
+  /**
+   * Build term node: field resolution, ranges and wildcards
+   * @param {Object} token - Term token
+   * @returns {Object} Term node
+   */
+  static buildTerm(token) {
+    const node = { op: 'term', field: null, value: token.value };
+    
+    if (token.field) {
+      node.field = this.resolveField(token.field);
+      if (!node.field) throw new QuerySyntaxError(`UNKNOWN FIELD ${token.field.toUpperCase()}`, token.position);
+    }
+    
+    const range = !token.quoted && /^([^.]*)\.\.([^.]*)$/.exec(token.value);
+    if (range) {
+      if (!range[1] && !range[2]) throw new QuerySyntaxError('EMPTY RANGE', token.position);
+      node.range = { from: range[1], to: range[2] };
+    } else if (!token.quoted && /[*?]/.test(token.value)) {
+      const pattern = token.value.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+      node.pattern = new RegExp(`^${pattern}$`, 'i');
+    }
+    
+    return node;
+  }
+  
+  /**
+   * Find record field named in a query (key, label, alias or key prefix)
+   * @param {string} name - Name typed by user
+   * @returns {string|null} Field key
+   */
+  static resolveField(name) {
+    const normalized = name.toLowerCase();
+    const keys = ['caseNumber', 'recordType', 'tags'];
+    const labels = {};
+    
+    for (const type of Object.keys(RecordSchema.RECORD_TYPES)) {
+      RecordSchema.getFields(type).forEach(f => {
+        if (!keys.includes(f.key)) keys.push(f.key);
+        labels[f.label.toLowerCase().replace(/[^a-z0-9]/g, '')] = f.key;
+      });
+    }
+    
+    const exact = keys.find(k => k.toLowerCase() === normalized);
+    if (exact) return exact;
+    if (labels[normalized]) return labels[normalized];
+    if (this.ALIASES[normalized]) return this.ALIASES[normalized];
+    
+    const prefixed = keys.filter(k => k.toLowerCase().startsWith(normalized));
+    return prefixed.length === 1 ? prefixed[0] : null;
+  }
+  
+  /**
+   * Get searchable values of a record (redacted content excluded)
+   * Records above the agent's clearance only expose the case number shown on their stub
+   * @param {StoredRecord} record - Record
+   * @returns {Object} Map of key => value
+   */
+  static getValues(record) {
+    const caseNumber = String(record.getFlag(DeltaGreenUI.ID, 'caseNumber') || '');
+    if (!ClearanceManager.canAccess(record)) return { caseNumber };
+    
+    const type = RecordSchema.getRecordType(record);
+    const values = {
+      caseNumber,
+      recordType: type,
+      tags: RecordsManager.getRecordTags(record).join(', ')
+    };
+    
+    RecordSchema.getFields(type).forEach(f => {
+      values[f.key] = RecordsManager.getFieldDisplay(record, f.key);
+    });
+    
+    return values;
+  }
+  
+  /**
+   * Convert a range bound to a comparable number
+   * @param {string} value - Bound or field value
+   * @param {boolean} isDate - Compare as dates
+   * @param {boolean} upper - Upper bound (a bare year covers the whole year)
+   * @returns {number} Comparable value (NaN if unreadable)
+   */
+  static toComparable(value, isDate, upper = false) {
+    const text = String(value).trim();
+    if (!isDate) return parseFloat(text);
+    if (/^\d{4}$/.test(text)) return Date.UTC(Number(text) + (upper ? 1 : 0), 0, 1) - (upper ? 1 : 0);
+    return Date.parse(text);
+  }
+  
+  /**
+   * Match a term against one value
+   * @param {Object} node - Term node
+   * @param {string} value - Field value
+   * @param {boolean} isDate - Field holds dates
+   * @returns {string|null} Matched text, null if no match
+   */
+  static matchValue(node, value, isDate) {
+    if (!value) return null;
+    
+    if (node.range) {
+      const current = this.toComparable(value, isDate);
+      if (isNaN(current)) return null;
+      if (node.range.from && current < this.toComparable(node.range.from, isDate)) return null;
+      if (node.range.to && current > this.toComparable(node.range.to, isDate, true)) return null;
+      return value;
+    }
+    
+    if (node.pattern) {
+      return node.pattern.test(value) ? value : null;
+    }
+    
+    const index = value.toLowerCase().indexOf(node.value.toLowerCase());
+    return index === -1 ? null : value.substr(index, node.value.length);
+  }
+  
+  /**
+   * Evaluate an expression against a record
+   * @param {Object} node - Expression node
+   * @param {Object} values - Record values
+   * @param {Object} fieldTypes - Map of key => field type
+   * @returns {Array|null} Matches [{ key, text }] if the record matches, null otherwise
+   */
+  static evaluate(node, values, fieldTypes) {
+    switch (node.op) {
+      case 'and': {
+        const left = this.evaluate(node.left, values, fieldTypes);
+        if (!left) return null;
+        const right = this.evaluate(node.right, values, fieldTypes);
+        return right ? [...left, ...right] : null;
+      }
+      case 'or': {
+        const left = this.evaluate(node.left, values, fieldTypes);
+        const right = this.evaluate(node.right, values, fieldTypes);
+        if (!left && !right) return null;
+        return [...(left || []), ...(right || [])];
+      }
+      case 'not':
+        return this.evaluate(node.operand, values, fieldTypes) ? null : [];
+      default: {
+        const keys = node.field ? [node.field] : Object.keys(values);
+        const matches = [];
+        
+        keys.forEach(key => {
+          const text = this.matchValue(node, values[key], fieldTypes[key] === 'date');
+          if (text !== null) matches.push({ key, text });
+        });
+        
+        return matches.length > 0 ? matches : null;
+      }
+    }
+  }
+  
+  /**
+   * Run a query against records
+   * @param {string} query - Query text
+   * @param {Array<StoredRecord>} records - Records
+   * @returns {Object} { records, matches } matches: Map of record ID => [{ key, text }]
+   * @throws {QuerySyntaxError} If the query is malformed
+   */
+  static search(query, records) {
+    const tree = this.parse(query);
+    const matches = new Map();
+    
+    const found = records.filter(record => {
+      const type = RecordSchema.getRecordType(record);
+      const fieldTypes = {};
+      RecordSchema.getFields(type).forEach(f => fieldTypes[f.key] = f.type);
+      
+      const result = this.evaluate(tree, this.getValues(record), fieldTypes);
+      if (result) matches.set(record.id, result);
+      return !!result;
+    });
+    
+    return { records: found, matches };
+  }
+}
@@ -0,0 +1,515 @@
+/**
+ * Record Schema for Delta Green Player UI
+ * Record types and their GM-defined fields, and the settings editor for them
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RedactionManager } from './redaction-manager.js';
+import { RecordStorage } from './record-storage.js';
+
+export class RecordSchema {
+  // Field types available in the editor
+  static TYPES = {
+    text: 'Text',
+    longtext: 'Long Text',
+    select: 'Select',
+    date: 'Date',
+    number: 'Number'
+  };
+  
+  // Record types, each with its own case study layout
+  static RECORD_TYPES = {
+    person: { label: 'Person', code: 'PER', icon: 'icons/svg/mystery-man.svg' },
+    organization: { label: 'Organization', code: 'ORG', icon: 'icons/svg/city.svg' },
+    location: { label: 'Location', code: 'LOC', icon: 'icons/svg/house.svg' },
+    artifact: { label: 'Artifact', code: 'ART', icon: 'icons/svg/item-bag.svg' }
+  };
+  
+  // Flags managed by the module itself, not usable as field keys
+  static RESERVED_KEYS = ['caseNumber', 'recordType', 'classification', 'compartments', 'redactions', 'revisions', 'links', 'tags', 'createdBy', 'attachments', 'deletedAt', 'deletedBy'];
+  
+  // Version of stored record data, raised when records need a migration
+  static SCHEMA_VERSION = 2;
+  
+  // Default person fields (the original case study layout)
+  static DEFAULT_FIELDS = [
+    { key: 'reference', label: 'Reference', type: 'text', options: [], order: 10, required: true, list: true },
+    { key: 'firstName', label: 'First Name', type: 'text', options: [], order: 20, required: true, list: true },
+    { key: 'lastName', label: 'Last Name', type: 'text', options: [], order: 30, required: false, list: true },
+    { key: 'address', label: 'Address', type: 'text', options: [], order: 40, required: false, list: false },
+    { key: 'dateOfBirth', label: 'Date of Birth', type: 'date', options: [], order: 50, required: false, list: false },
+    { key: 'zipCode', label: 'Zip Code', type: 'text', options: [], order: 60, required: false, list: false },
+    { key: 'phone', label: 'Phone Number', type: 'text', options: [], order: 70, required: false, list: false },
+    { key: 'relationshipStatus', label: 'Relationship Status', type: 'text', options: [], order: 80, required: false, list: false },
+    { key: 'sex', label: 'Sex', type: 'select', options: ['M', 'F', 'X'], order: 90, required: false, list: false },
+    { key: 'race', label: 'Race', type: 'text', options: [], order: 100, required: false, list: false },
+    { key: 'height', label: 'Height', type: 'text', options: [], order: 110, required: false, list: false },
+    { key: 'weight', label: 'Weight', type: 'text', options: [], order: 120, required: false, list: false },
+    { key: 'hairColor', label: 'Hair Color', type: 'text', options: [], order: 130, required: false, list: false },
+    { key: 'eyeColor', label: 'Eye Color', type: 'text', options: [], order: 140, required: false, list: false },
+    { key: 'notes', label: 'Notes', type: 'longtext', options: [], order: 150, required: false, list: false }
+  ];
+  
+  // Default fields of every record type
+  static DEFAULT_SCHEMAS = {
+    person: RecordSchema.DEFAULT_FIELDS,
+    organization: [
+      { key: 'name', label: 'Name', type: 'text', options: [], order: 10, required: true, list: true },
+      { key: 'category', label: 'Category', type: 'select', options: ['Government', 'Corporate', 'Criminal', 'Religious', 'Cult', 'Other'], order: 20, required: false, list: true },
+      { key: 'aliases', label: 'Known Aliases', type: 'text', options: [], order: 30, required: false, list: false },
+      { key: 'headquarters', label: 'Headquarters', type: 'text', options: [], order: 40, required: false, list: false },
+      { key: 'phone', label: 'Phone Number', type: 'text', options: [], order: 50, required: false, list: false },
+      { key: 'leadership', label: 'Leadership', type: 'text', options: [], order: 60, required: false, list: false },
+      { key: 'notes', label: 'Notes', type: 'longtext', options: [], order: 70, required: false, list: false }
+    ],
+    location: [
+      { key: 'name', label: 'Name', type: 'text', options: [], order: 10, required: true, list: true },
+      { key: 'address', label: 'Address', type: 'text', options: [], order: 20, required: false, list: true },
+      { key: 'coordinates', label: 'Coordinates', type: 'text', options: [], order: 30, required: false, list: false },
+      { key: 'owner', label: 'Owner', type: 'text', options: [], order: 40, required: false, list: false },
+      { key: 'notes', label: 'Notes', type: 'longtext', options: [], order: 50, required: false, list: false }
+    ],
+    artifact: [
+      { key: 'name', label: 'Designation', type: 'text', options: [], order: 10, required: true, list: true },
+      { key: 'description', label: 'Description', type: 'text', options: [], order: 20, required: false, list: false },
+      { key: 'custodian', label: 'Current Custodian', type: 'text', options: [], order: 30, required: false, list: true },
+      { key: 'provenance', label: 'Provenance', type: 'longtext', options: [], order: 40, required: false, list: false },
+      { key: 'custodyChain', label: 'Chain of Custody', type: 'longtext', options: [], order: 50, required: false, list: false },
+      { key: 'notes', label: 'Notes', type: 'longtext', options: [], order: 60, required: false, list: false }
+    ]
+  };
+  
+  // Flag renames of version 1 (labels didn't match stored keys)
+  static LEGACY_KEYS = {
+    surname: 'reference',
+    middleName: 'lastName'
+  };
+  
+  /**
+   * Get type of a record
+   * @param {StoredRecord} record - Record
+   * @returns {string} Record type (records older than types are persons)
+   */
+  static getRecordType(record) {
+    const type = record?.getFlag(DeltaGreenUI.ID, 'recordType');
+    return this.RECORD_TYPES[type] ? type : 'person';
+  }
+  
+  /**
+   * Get stored schemas of every record type
+   * @returns {Object} Map of record type => fields
+   */
+  static getSchemas() {
+    let schemas = game.settings.get(DeltaGreenUI.ID, 'recordSchema');
+    
+    // Schemas saved before record types only described persons
+    if (Array.isArray(schemas)) schemas = { person: schemas };
+    
+    const result = {};
+    for (const type of Object.keys(this.RECORD_TYPES)) {
+      const fields = schemas?.[type];
+      result[type] = Array.isArray(fields) && fields.length > 0 ? fields : this.DEFAULT_SCHEMAS[type];
+    }
+    return result;
+  }
+  
+  /**
+   * Get schema fields of a record type, sorted by order
+   * @param {string} type - Record type
+   * @returns {Array} Fields { key, label, type, options, order, required, list }
+   */
+  static getFields(type = 'person') {
+    const fields = this.getSchemas()[type] || this.DEFAULT_SCHEMAS.person;
+    return [...fields].sort((a, b) => a.order - b.order);
+  }
+  
+  /**
+   * Get fields shown as columns in records lists
+   * @param {string} type - Record type
+   * @returns {Array} Fields
+   */
+  static getListFields(type = 'person') {
+    const fields = this.getFields(type).filter(f => f.list);
+    return fields.length > 0 ? fields : this.getFields(type).slice(0, 1);
+  }
+  
+  /**
+   * Validate and normalize fields submitted by the editor
+   * @param {Array} fields - Raw fields
+   * @returns {Object} { fields, errors }
+   */
+  static normalizeFields(fields) {
+    const errors = [];
+    const keys = new Set();
+    
+    const normalized = fields.map(field => ({
+      key: String(field.key || '').trim(),
+      label: String(field.label || '').trim(),
+      type: this.TYPES[field.type] ? field.type : 'text',
+      options: String(field.options || '').split(',').map(o => o.trim()).filter(o => o),
+      order: Number(field.order) || 0,
+      required: !!field.required,
+      list: !!field.list
+    }));
+    
+    normalized.forEach(field => {
+      if (!/^[A-Za-z][A-Za-z0-9]*$/.test(field.key)) {
+        errors.push(`Invalid key "${field.key}" (letters and digits only)`);
+      } else if (this.RESERVED_KEYS.includes(field.key)) {
+        errors.push(`Key "${field.key}" is reserved`);
+      } else if (keys.has(field.key)) {
+        errors.push(`Duplicate key "${field.key}"`);
+      }
+      keys.add(field.key);
+      
+      if (!field.label) errors.push(`Field "${field.key}" needs a label`);
+      if (field.type === 'select' && field.options.length === 0) {
+        errors.push(`Select field "${field.key}" needs options`);
+      }
+    });
+    
+    if (normalized.length === 0) errors.push("Schema needs at least one field");
+    
+    return { fields: normalized, errors };
+  }
+  
+  /**
+   * Check a submitted value against its field definition
+   * @param {Object} field - Field definition
+   * @param {string} value - Submitted value
+   * @returns {string|null} Error message, null if valid
+   */
+  static validateValue(field, value) {
+    const text = String(value ?? '').trim();
+    
+    if (!text) {
+      return field.required ? `${field.label} is required` : null;
+    }
+    
+    // Redacted values can't be checked by type
+    if (text.includes('[REDACT')) return null;
+    
+    if (field.type === 'number' && isNaN(Number(text))) {
+      return `${field.label} must be a number`;
+    }
+    
+    if (field.type === 'date' && isNaN(Date.parse(text))) {
+      return `${field.label} must be a date (YYYY-MM-DD)`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Build form cell of a field
+   * @param {Object} field - Field definition
+   * @returns {jQuery} Form cell
+   */
+  static renderInput(field) {
+    const id = `dg-field-${field.key}`;
+    const wide = field.type === 'longtext' ? ' dg-profile-cell-full' : '';
+    const required = field.required ? ' *' : '';
+    
+    const $cell = $(`<div class="dg-profile-cell${wide}" data-field-key="${field.key}"></div>`);
+    $cell.append($('<div class="dg-profile-label"></div>').text(`${field.label}${required}`));
+    
+    let $input;
+    switch (field.type) {
+      case 'longtext':
+        $input = $(`<textarea id="${id}" class="dg-form-textarea"></textarea>`);
+        break;
+      case 'select':
+        $input = $(`<select id="${id}" class="dg-form-select"></select>`);
+        if (!field.required) $input.append('<option value=""></option>');
+        field.options.forEach(option => {
+          $input.append($('<option></option>').val(option).text(option));
+        });
+        break;
+      case 'date':
+        $input = $(`<input type="text" id="${id}" class="dg-form-input" placeholder="YYYY-MM-DD">`);
+        break;
+      case 'number':
+        $input = $(`<input type="text" id="${id}" class="dg-form-input" inputmode="decimal">`);
+        break;
+      default:
+        $input = $(`<input type="text" id="${id}" class="dg-form-input">`);
+    }
+    
+    $cell.append($input);
+    return $cell;
+  }
+  
+  /**
+   * Set value of a field input
+   * @param {Object} field - Field definition
+   * @param {string} value - Value to display
+   */
+  static setInputValue(field, value) {
+    const $input = $(`#dg-field-${field.key}`);
+    
+    // Keep values no longer listed in options (older records)
+    if (field.type === 'select' && value && !field.options.includes(value)) {
+      $input.append($('<option></option>').val(value).text(value));
+    }
+    
+    $input.val(value ?? '');
+  }
+  
+  /**
+   * Read value of a field input
+   * @param {Object} field - Field definition
+   * @returns {string} Value
+   */
+  static getInputValue(field) {
+    return String($(`#dg-field-${field.key}`).val() ?? '').trim();
+  }
+  
+  /**
+   * Build record title from list fields, without any redacted content
+   * @param {Object} recordData - Field values
+   * @param {string} type - Record type
+   * @returns {string} Title
+   */
+  static getRecordTitle(recordData, type = 'person') {
+    return this.getListFields(type)
+      .map(f => String(recordData[f.key] ?? '').replace(RedactionManager.SPAN_PATTERN, '[REDACTED]'))
+      .filter(v => v)
+      .join(', ');
+  }
+  
+  /**
+   * Rename flags of every record (renamed schema keys)
+   * Revision history keys are renamed too so restores keep working
+   * @param {Array<StoredRecord>} records - Records
+   * @param {Object} renames - Map of old key => new key
+   */
+  static async renameKeys(records, renames) {
+    const entries = Object.entries(renames).filter(([from, to]) => from && to && from !== to);
+    if (entries.length === 0) return;
+    
+    for (const record of records) {
+      const flags = record.flags?.[DeltaGreenUI.ID] || {};
+      const data = {};
+      
+      // Never overwrite data already stored under the new key, unless that data moves too
+      // (swapped keys): drop renames blocked by a key that stays until none is left
+      const moved = new Set(entries.filter(([from]) => from in flags).map(([from]) => from));
+      let blocked = true;
+      while (blocked) {
+        blocked = false;
+        for (const [from, to] of entries) {
+          if (moved.has(from) && to in flags && !moved.has(to)) {
+            moved.delete(from);
+            blocked = true;
+          }
+        }
+      }
+      
+      entries.filter(([from]) => moved.has(from)).forEach(([from, to]) => data[to] = flags[from]);
+      
+      // Old keys are only removed once their value was copied, and if nothing moved into them
+      const unset = [...moved].filter(from => !(from in data));
+      const skipped = new Set(entries.filter(([from]) => from in flags && !moved.has(from)).map(([from]) => from));
+      
+      if (Array.isArray(flags.revisions)) {
+        data.revisions = flags.revisions.map(revision => {
+          const changes = {};
+          for (const [key, change] of Object.entries(revision.changes || {})) {
+            changes[skipped.has(key) ? key : (renames[key] || key)] = change;
+          }
+          return { ...revision, changes };
+        });
+      }
+      
+      if (Object.keys(data).length > 0 || unset.length > 0) {
+        await RecordStorage.update(record, { data, unset });
+      }
+    }
+  }
+  
+  /**
+   * Migrate existing records to current schema version (primary GM only)
+   * @param {Array<StoredRecord>} records - Records
+   */
+  static async migrateRecords(records) {
+    const version = game.settings.get(DeltaGreenUI.ID, 'schemaVersion');
+    if (version >= this.SCHEMA_VERSION) return;
+    
+    console.log(`Delta Green UI | Migrating records from schema version ${version} to ${this.SCHEMA_VERSION}`);
+    
+    try {
+      if (version < 1) {
+        await this.renameKeys(records, this.LEGACY_KEYS);
+      }
+      
+      if (version < 2) {
+        // Existing records are persons, stored schema becomes per type
+        for (const record of records) {
+          if (!record.getFlag(DeltaGreenUI.ID, 'recordType')) {
+            await RecordStorage.update(record, { data: { recordType: 'person' } });
+          }
+        }
+        await game.settings.set(DeltaGreenUI.ID, 'recordSchema', this.getSchemas());
+      }
+      
+      await game.settings.set(DeltaGreenUI.ID, 'schemaVersion', this.SCHEMA_VERSION);
+      console.log(`Delta Green UI | Migrated ${records.length} records`);
+    } catch (error) {
+      console.error('Delta Green UI | Error migrating records:', error);
+      ui.notifications.error("Error migrating records to the new schema");
+    }
+  }
+}
+
+/**
+ * Schema editor opened from module settings (GM only)
+ */
+export class RecordSchemaConfig extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'dg-record-schema-config',
+      title: 'Record Schema',
+      template: `modules/${DeltaGreenUI.ID}/templates/record-schema-config.html`,
+      width: 720,
+      height: 'auto',
+      closeOnSubmit: true
+    });
+  }
+  
+  /**
+   * Fields being edited per record type (kept between re-renders)
+   */
+  schemas = null;
+  
+  /**
+   * Record type currently edited
+   */
+  recordType = 'person';
+  
+  /**
+   * Fields of edited record type
+   * @returns {Array} Fields
+   */
+  get fields() {
+    return this.schemas[this.recordType];
+  }
+  
+  set fields(fields) {
+    this.schemas[this.recordType] = fields;
+  }
+  
+  getData() {
+    if (!this.schemas) {
+      this.schemas = {};
+      for (const type of Object.keys(RecordSchema.RECORD_TYPES)) {
+        this.schemas[type] = RecordSchema.getFields(type).map(f => ({ ...f, originalKey: f.key }));
+      }
+    }
+    
+    return {
+      recordTypes: Object.entries(RecordSchema.RECORD_TYPES).map(([value, type]) => ({
+        value,
+        label: type.label,
+        selected: value === this.recordType
+      })),
+      fields: this.fields.map(f => ({
+        ...f,
+        options: Array.isArray(f.options) ? f.options.join(', ') : f.options,
+        types: Object.entries(RecordSchema.TYPES).map(([value, label]) => ({
+          value,
+          label,
+          selected: value === f.type
+        }))
+      }))
+    };
+  }
+  
+  activateListeners(html) {
+    super.activateListeners(html);
+    
+    html.find('[name="recordType"]').on('change', (e) => {
+      this.fields = this._readRows(html);
+      this.recordType = e.currentTarget.value;
+      this.render();
+    });
+    
+    html.find('.dg-schema-add').on('click', (e) => {
+      e.preventDefault();
+      this.fields = this._readRows(html);
+      const order = Math.max(0, ...this.fields.map(f => Number(f.order) || 0)) + 10;
+      this.fields.push({ key: '', label: '', type: 'text', options: '', order, required: false, list: false, originalKey: '' });
+      this.render();
+    });
+    
+    html.find('.dg-schema-remove').on('click', (e) => {
+      e.preventDefault();
+      this.fields = this._readRows(html);
+      this.fields.splice(Number($(e.currentTarget).closest('.dg-schema-row').data('index')), 1);
+      this.render();
+    });
+    
+    html.find('.dg-schema-reset').on('click', (e) => {
+      e.preventDefault();
+      this.fields = RecordSchema.DEFAULT_SCHEMAS[this.recordType].map(f => ({ ...f, originalKey: f.key }));
+      this.render();
+    });
+  }
+  
+  /**
+   * Read rows currently displayed in the editor
+   * @param {jQuery} html - Editor content
+   * @returns {Array} Fields
+   * @private
+   */
+  _readRows(html) {
+    return html.find('.dg-schema-row').toArray().map(row => {
+      const $row = $(row);
+      return {
+        key: $row.find('[name="key"]').val(),
+        label: $row.find('[name="label"]').val(),
+        type: $row.find('[name="type"]').val(),
+        options: $row.find('[name="options"]').val(),
+        order: $row.find('[name="order"]').val(),
+        required: $row.find('[name="required"]').is(':checked'),
+        list: $row.find('[name="list"]').is(':checked'),
+        originalKey: $row.find('[name="originalKey"]').val()
+      };
+    });
+  }
+  
+  async _updateObject(event, formData) {
+    this.fields = this._readRows(this.element);
+    
+    const schemas = {};
+    const renames = {};
+    
+    for (const [type, rows] of Object.entries(this.schemas)) {
+      const { fields, errors } = RecordSchema.normalizeFields(rows);
+      
+      if (errors.length > 0) {
+        const label = RecordSchema.RECORD_TYPES[type].label;
+        ui.notifications.error(`${label}: ${errors[0]}`);
+        throw new Error(errors.join('; '));
+      }
+      
+      // Stored values of renamed fields move with them
+      renames[type] = {};
+      rows.forEach((row, index) => {
+        if (row.originalKey && row.originalKey !== fields[index].key) {
+          renames[type][row.originalKey] = fields[index].key;
+        }
+      });
+      
+      schemas[type] = fields;
+    }
+    
+    // Deleted records are renamed too, so they come back with current keys
+    const records = RecordStorage.getRecords();
+    for (const [type, typeRenames] of Object.entries(renames)) {
+      await RecordSchema.renameKeys(records.filter(r => RecordSchema.getRecordType(r) === type), typeRenames);
+    }
+    
+    await game.settings.set(DeltaGreenUI.ID, 'recordSchema', schemas);
+    ui.notifications.info("Record schema saved");
+  }
+}
@@ -0,0 +1,789 @@
+/**
+ * Record Storage for Delta Green Player UI
+ * Pluggable backends holding case study records: Actors, Journal Entries or a world setting
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { SocketHandler } from './socket-handler.js';
+import { ClearanceManager } from './clearance-manager.js';
+
+/**
+ * Record as seen by the rest of the module, whatever its backend
+ */
+export class StoredRecord {
+  /**
+   * @param {Object} backend - Backend holding the record
+   * @param {Object} source - Document or stored entry
+   */
+  constructor(backend, source) {
+    this.backend = backend;
+    this._source = source;
+  }
+  
+  /**
+   * Current source of the record (falls back to last known source once deleted)
+   * @returns {Object} Document or stored entry
+   */
+  get source() {
+    return this.backend.getSource(this._source.id) || this._source;
+  }
+  
+  get id() {
+    return this._source.id;
+  }
+  
+  get name() {
+    return this.source.name;
+  }
+  
+  get img() {
+    return this.backend.getImage(this.source);
+  }
+  
+  get flags() {
+    return { [DeltaGreenUI.ID]: this.backend.getData(this.source) };
+  }
+  
+  get isOwner() {
+    return this.backend.isOwner(this.source);
+  }
+  
+  get modifiedTime() {
+    return this.backend.getModifiedTime(this.source);
+  }
+  
+  /**
+   * Get a stored value (same signature as Document#getFlag)
+   * @param {string} scope - Module ID
+   * @param {string} key - Data key
+   * @returns {*} Value
+   */
+  getFlag(scope, key) {
+    return this.flags[scope]?.[key];
+  }
+}
+
+/**
+ * Records stored as documents of a folder (shared by Actor and JournalEntry backends)
+ */
+class DocumentBackend {
+  // Document type of records ('Actor' or 'JournalEntry')
+  static documentName = null;
+  
+  /**
+   * World collection of record documents
+   * @returns {WorldCollection} Collection
+   */
+  static get collection() {
+    return game.collections.get(this.documentName);
+  }
+  
+  /**
+   * Get records folder
+   * @returns {Folder|undefined} Folder
+   */
+  static getFolder() {
+    return game.folders.find(f => f.name === RecordStorage.getFolderName() && f.type === this.documentName);
+  }
+  
+  /**
+   * Check if records can be stored
+   * @returns {boolean} True if folder exists
+   */
+  static isAvailable() {
+    return !!this.getFolder();
+  }
+  
+  /**
+   * Create records folder if needed (GM only)
+   */
+  static async ensureContainer() {
+    if (this.getFolder() || !game.user.isGM) return;
+    
+    await Folder.create({
+      name: RecordStorage.getFolderName(),
+      type: this.documentName,
+      parent: null,
+      color: "#33ff33"
+    });
+    console.log(`Delta Green UI | "${RecordStorage.getFolderName()}" ${this.documentName} folder created`);
+  }
+  
+  /**
+   * Check if a document is a record of this backend
+   * @param {Document} document - Document
+   * @returns {boolean} True for records
+   */
+  static isRecordDocument(document) {
+    return document.documentName === this.documentName && document.folder?.name === RecordStorage.getFolderName();
+  }
+  
+  /**
+   * Get every record source
+   * @returns {Array<Document>} Documents
+   */
+  static getSources() {
+    const folder = this.getFolder();
+    if (!folder) return [];
+    return this.collection.filter(d => d.folder?.id === folder.id);
+  }
+  
+  /**
+   * Get a record source by ID
+   * @param {string} id - Record ID
+   * @returns {Document|undefined} Document
+   */
+  static getSource(id) {
+    const document = this.collection.get(id);
+    return document && this.isRecordDocument(document) ? document : undefined;
+  }
+  
+  /**
+   * Get module data of a record
+   * @param {Document} document - Document
+   * @returns {Object} Values by key
+   */
+  static getData(document) {
+    return document.flags?.[DeltaGreenUI.ID] || {};
+  }
+  
+  /**
+   * Get image of a record
+   * @param {Document} document - Document
+   * @returns {string} Image path
+   */
+  static getImage(document) {
+    return document.img;
+  }
+  
+  /**
+   * Check if current user owns a record
+   * @param {Document} document - Document
+   * @returns {boolean} True for owners
+   */
+  static isOwner(document) {
+    return document.isOwner;
+  }
+  
+  /**
+   * Get ownership of a record
+   * @param {Document} document - Document
+   * @returns {Object} Ownership levels by user ID
+   */
+  static getOwnership(document) {
+    return foundry.utils.deepClone(document.ownership);
+  }
+  
+  /**
+   * Get time of last change of a record
+   * @param {Document} document - Document
+   * @returns {number} Timestamp in ms
+   */
+  static getModifiedTime(document) {
+    return document._stats?.modifiedTime || 0;
+  }
+  
+  /**
+   * Build document data of a new record
+   * @param {Object} entry - { id, name, img, data, ownership }
+   * @param {Folder} folder - Records folder
+   * @returns {Object} Document data
+   */
+  static toDocumentData(entry, folder) {
+    return {
+      _id: entry.id,
+      name: entry.name,
+      img: entry.img,
+      folder: folder.id,
+      ownership: entry.ownership,
+      flags: { [DeltaGreenUI.ID]: entry.data }
+    };
+  }
+  
+  /**
+   * Create records in one batch
+   * @param {Array<Object>} entries - { id, name, img, data, ownership }
+   * @returns {Array<Document>} Created documents
+   */
+  static async create(entries) {
+    const folder = this.getFolder();
+    if (!folder) throw new Error(`Records folder "${RecordStorage.getFolderName()}" not found`);
+    
+    const documentClass = CONFIG[this.documentName].documentClass;
+    return documentClass.createDocuments(entries.map(entry => this.toDocumentData(entry, folder)), { keepId: true });
+  }
+  
+  /**
+   * Single document update: name, image and module data at once
+   * @param {Document} document - Record document
+   * @param {Object} changes - { name, img, data, unset }
+   */
+  static async update(document, { name, img, data = {}, unset = [] }) {
+    const flags = { ...data };
+    unset.forEach(key => flags[`-=${key}`] = null);
+    
+    const update = { flags: { [DeltaGreenUI.ID]: flags } };
+    if (name !== undefined) update.name = name;
+    if (img !== undefined) update.img = img;
+    
+    await document.update(update);
+  }
+  
+  /**
+   * Delete records
+   * @param {Array<Document>} documents - Documents
+   */
+  static async delete(documents) {
+    const documentClass = CONFIG[this.documentName].documentClass;
+    await documentClass.deleteDocuments(documents.map(d => d.id));
+  }
+  
+  /**
+   * Change ownership of records in one batch (GM only)
+   * @param {Array<Object>} entries - { source, ownership }
+   */
+  static async setOwnership(entries) {
+    const documentClass = CONFIG[this.documentName].documentClass;
+    await documentClass.updateDocuments(entries.map(({ source, ownership }) => ({ _id: source.id, ownership })));
+  }
+}
+
+/**
+ * Records stored as Actors (historical storage)
+ */
+class ActorBackend extends DocumentBackend {
+  static documentName = 'Actor';
+  static label = 'Actors';
+  
+  /**
+   * Actor type used for records ("npc" when the game system has one)
+   * @returns {string} Actor type
+   */
+  static getActorType() {
+    const types = (game.documentTypes?.Actor ?? Object.keys(CONFIG.Actor.typeLabels ?? {})).filter(t => t !== 'base');
+    return types.includes('npc') ? 'npc' : types[0];
+  }
+  
+  static toDocumentData(entry, folder) {
+    return { ...super.toDocumentData(entry, folder), type: this.getActorType() };
+  }
+}
+
+/**
+ * Records stored as Journal Entries (image kept with module data)
+ */
+class JournalBackend extends DocumentBackend {
+  static documentName = 'JournalEntry';
+  static label = 'Journal Entries';
+  
+  static getImage(document) {
+    return this.getData(document).img;
+  }
+  
+  static toDocumentData(entry, folder) {
+    const data = super.toDocumentData(entry, folder);
+    delete data.img;
+    data.flags[DeltaGreenUI.ID] = { ...entry.data, img: entry.img };
+    return data;
+  }
+  
+  static async update(document, { img, data = {}, ...changes }) {
+    await super.update(document, { ...changes, data: img !== undefined ? { ...data, img } : data });
+  }
+}
+
+/**
+ * Records stored in a hidden world setting
+ * Only GMs can write world settings, so agents' changes are relayed to the Handler.
+ * Requests are written to the agent's own user flag: Foundry tells the Handler which user made
+ * that update, so ownership is checked against the real requester and the stored record.
+ * World settings are sent to every client: any player can read the whole store, redacted values
+ * and records above their clearance included. Use a document storage when that matters.
+ */
+class SettingBackend {
+  static label = 'World Setting (readable by every player)';
+  
+  // Writes of the Handler, run one after another
+  static queue = Promise.resolve();
+  
+  // Agent requests waiting for the Handler (request ID => { resolve, reject, timeout })
+  static pending = new Map();
+  
+  static getStore() {
+    return game.settings.get(DeltaGreenUI.ID, 'recordStore') || {};
+  }
+  
+  static isAvailable() {
+    return true;
+  }
+  
+  static async ensureContainer() {}
+  
+  static isRecordDocument() {
+    return false;
+  }
+  
+  static getSources() {
+    return Object.values(this.getStore());
+  }
+  
+  static getSource(id) {
+    return this.getStore()[id];
+  }
+  
+  static getData(entry) {
+    return entry.flags || {};
+  }
+  
+  static getImage(entry) {
+    return entry.img;
+  }
+  
+  static isOwner(entry, user = game.user) {
+    if (user?.isGM) return true;
+    const ownership = entry.ownership || {};
+    return (ownership[user?.id] ?? ownership.default ?? 0) >= CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER;
+  }
+  
+  static getOwnership(entry) {
+    return foundry.utils.deepClone(entry.ownership);
+  }
+  
+  static getModifiedTime(entry) {
+    return entry.modifiedTime || 0;
+  }
+  
+  static async create(entries) {
+    const now = Date.now();
+    const created = entries.map(entry => ({
+      id: entry.id || foundry.utils.randomID(),
+      name: entry.name,
+      img: entry.img,
+      ownership: entry.ownership,
+      flags: entry.data,
+      createdTime: now,
+      modifiedTime: now
+    }));
+    
+    await this.write('create', { entries: created });
+    return created;
+  }
+  
+  static async update(entry, changes) {
+    await this.write('update', { id: entry.id, changes });
+  }
+  
+  static async delete(entries) {
+    await this.write('delete', { ids: entries.map(e => e.id) });
+  }
+  
+  static async setOwnership(entries) {
+    await this.write('ownership', { entries: entries.map(({ source, ownership }) => ({ id: source.id, ownership })) });
+  }
+  
+  /**
+   * Write to the store directly (GM) or through the Handler (agents)
+   * @param {string} action - 'create', 'update' or 'delete'
+   * @param {Object} payload - Action data
+   */
+  static async write(action, payload) {
+    if (game.user.isGM) return this.commit(action, payload, game.user.id);
+    
+    return new Promise((resolve, reject) => {
+      const requestId = foundry.utils.randomID();
+      const timeout = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new Error("No Handler connected to store records"));
+      }, 10000);
+      
+      this.pending.set(requestId, { resolve, reject, timeout });
+      
+      // Stored as a string so each request replaces the previous one instead of being merged
+      game.user.setFlag(DeltaGreenUI.ID, 'recordStoreRequest', JSON.stringify({ requestId, action, payload })).catch(error => {
+        clearTimeout(timeout);
+        this.pending.delete(requestId);
+        reject(error);
+      });
+    });
+  }
+  
+  /**
+   * Apply a write to the store (GM side)
+   * @param {string} action - 'create', 'update' or 'delete'
+   * @param {Object} payload - Action data
+   * @param {string} userId - User asking for the write
+   */
+  static commit(action, payload, userId) {
+    const run = this.queue.then(async () => {
+      const store = foundry.utils.deepClone(this.getStore());
+      const user = game.users.get(userId);
+      if (!user) throw new Error("Unknown user");
+      
+      if (action === 'create') {
+        const entries = payload.entries || [];
+        if (entries.some(entry => !entry.id || store[entry.id])) throw new Error("Record already exists");
+        
+        entries.forEach(entry => {
+          // Ownership of agents' records follows clearance, with the real requester as creator
+          if (!user.isGM) {
+            entry.flags = { ...(entry.flags || {}), createdBy: user.name };
+            entry.ownership = ClearanceManager.getRecordOwnership(entry.flags);
+            entry.createdTime = entry.modifiedTime = Date.now();
+          }
+          store[entry.id] = entry;
+        });
+      } else if (action === 'update') {
+        const entry = store[payload.id];
+        if (!entry) throw new Error("Record not found");
+        if (!this.isOwner(entry, user)) throw new Error("Permission denied");
+        
+        const { name, img, data = {}, unset = [] } = payload.changes;
+        if (name !== undefined) entry.name = name;
+        if (img !== undefined) entry.img = img;
+        entry.flags = foundry.utils.mergeObject(entry.flags || {}, data, { inplace: false });
+        unset.forEach(key => delete entry.flags[key]);
+        entry.modifiedTime = Date.now();
+      } else if (action === 'delete') {
+        payload.ids.forEach(id => {
+          if (store[id] && this.isOwner(store[id], user)) delete store[id];
+        });
+      } else if (action === 'ownership') {
+        if (!user.isGM) throw new Error("Permission denied");
+        payload.entries.forEach(({ id, ownership }) => {
+          if (store[id]) store[id].ownership = ownership;
+        });
+      }
+      
+      await game.settings.set(DeltaGreenUI.ID, 'recordStore', store);
+    });
+    
+    // A failed write must not block the next ones
+    this.queue = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * Handle a write request from an agent (Handler side)
+   * @param {User} user - User whose request flag changed
+   * @param {Object} changes - User update data
+   * @param {string} modifierId - User who made the update (set by the server)
+   */
+  static async onWriteRequest(user, changes, modifierId) {
+    const request = foundry.utils.getProperty(changes, `flags.${DeltaGreenUI.ID}.recordStoreRequest`);
+    if (!request || !DeltaGreenUI.isPrimaryGM()) return;
+    
+    // Only requests agents wrote to their own flag
+    if (modifierId !== user.id || user.isGM) return;
+    
+    let requestId = null;
+    let error = null;
+    try {
+      const { action, payload, ...data } = JSON.parse(request);
+      requestId = data.requestId;
+      await this.commit(action, payload, user.id);
+    } catch (e) {
+      console.error('Delta Green UI | Error writing record store:', e);
+      error = e.message;
+    }
+    
+    SocketHandler.emit('recordStoreResult', { requestId, userId: user.id, error });
+  }
+  
+  /**
+   * Handle answer of the Handler to a write request
+   * @param {Object} payload - Result data
+   */
+  static onWriteResult({ requestId, userId, error }) {
+    if (userId !== game.user.id) return;
+    
+    const request = this.pending.get(requestId);
+    if (!request) return;
+    
+    clearTimeout(request.timeout);
+    this.pending.delete(requestId);
+    
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve();
+    }
+  }
+}
+
+export class RecordStorage {
+  // Available backends
+  static BACKENDS = {
+    actor: ActorBackend,
+    journal: JournalBackend,
+    setting: SettingBackend
+  };
+  
+  /**
+   * Initialize record storage
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing record storage');
+    
+    SocketHandler.register('recordStoreResult', (payload) => SettingBackend.onWriteResult(payload));
+    
+    // Agents' write requests to the world setting storage
+    Hooks.on('updateUser', (user, changes, options, userId) => SettingBackend.onWriteRequest(user, changes, userId));
+    
+    // Refresh latest entries when a record document changes
+    for (const documentName of ['Actor', 'JournalEntry']) {
+      for (const action of ['create', 'update', 'delete']) {
+        Hooks.on(`${action}${documentName}`, (document) => {
+          if (this.getBackend().isRecordDocument(document)) this.onRecordsChanged();
+        });
+      }
+    }
+  }
+  
+  /**
+   * Refresh views showing records and sync their ownership with clearances
+   */
+  static onRecordsChanged() {
+    DeltaGreenUI.loadLastEntries();
+    ClearanceManager.requestOwnershipSync();
+  }
+  
+  /**
+   * Get ID of selected backend
+   * @returns {string} Backend ID
+   */
+  static getBackendId() {
+    const id = game.settings.get(DeltaGreenUI.ID, 'storageBackend');
+    return this.BACKENDS[id] ? id : 'actor';
+  }
+  
+  /**
+   * Get a backend
+   * @param {string} id - Backend ID (selected backend by default)
+   * @returns {Object} Backend
+   */
+  static getBackend(id = this.getBackendId()) {
+    return this.BACKENDS[id];
+  }
+  
+  /**
+   * Get name of records folder (Actor and JournalEntry backends)
+   * @returns {string} Folder name
+   */
+  static getFolderName() {
+    return game.settings.get(DeltaGreenUI.ID, 'recordFolder') || 'PC Records';
+  }
+  
+  /**
+   * Check if records can be read and written (folder exists)
+   * @returns {boolean} True if storage is ready
+   */
+  static isAvailable() {
+    return this.getBackend().isAvailable();
+  }
+  
+  /**
+   * Check if a document holds a record, whatever the selected backend
+   * @param {Document} document - Actor or Journal Entry
+   * @returns {boolean} True for records
+   */
+  static isRecordDocument(document) {
+    return Object.values(this.BACKENDS).some(backend => backend.isRecordDocument(document));
+  }
+  
+  /**
+   * Create folder of selected backend if needed (GM only)
+   */
+  static async ensureContainer() {
+    await this.getBackend().ensureContainer();
+  }
+  
+  /**
+   * Get every record of a backend
+   * @param {string} backendId - Backend ID (selected backend by default)
+   * @returns {Array<StoredRecord>} Records
+   */
+  static getRecords(backendId = this.getBackendId()) {
+    const backend = this.getBackend(backendId);
+    return backend.getSources().map(source => new StoredRecord(backend, source));
+  }
+  
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {StoredRecord|undefined} Record
+   */
+  static getRecord(id) {
+    if (!id) return undefined;
+    const backend = this.getBackend();
+    const source = backend.getSource(id);
+    return source ? new StoredRecord(backend, source) : undefined;
+  }
+  
+  /**
+   * Create records in one batch
+   * @param {Array<Object>} entries - { name, img, data, ownership } (ownership from clearances by default)
+   * @param {string} backendId - Backend ID (selected backend by default)
+   * @returns {Array<StoredRecord>} Created records
+   */
+  static async create(entries, backendId = this.getBackendId()) {
+    const backend = this.getBackend(backendId);
+    
+    const sources = await backend.create(entries.map(entry => ({
+      ...entry,
+      id: entry.id || foundry.utils.randomID(),
+      ownership: entry.ownership || ClearanceManager.getRecordOwnership(entry.data || {})
+    })));
+    
+    return sources.map(source => new StoredRecord(backend, source));
+  }
+  
+  /**
+   * Update a record in a single write
+   * Object values are merged with stored ones, arrays and other values replace them
+   * @param {StoredRecord} record - Record
+   * @param {Object} changes - { name, img, data (values by key), unset (keys to remove) }
+   */
+  static async update(record, changes) {
+    await record.backend.update(record.source, changes);
+  }
+  
+  /**
+   * Delete records
+   * @param {Array<StoredRecord>} records - Records
+   */
+  static async delete(records) {
+    for (const backend of new Set(records.map(r => r.backend))) {
+      await backend.delete(records.filter(r => r.backend === backend).map(r => r.source));
+    }
+  }
+  
+  /**
+   * Change ownership of records (GM only)
+   * @param {Array<Object>} changes - { record, ownership }
+   */
+  static async setOwnership(changes) {
+    for (const backend of new Set(changes.map(c => c.record.backend))) {
+      await backend.setOwnership(changes
+        .filter(c => c.record.backend === backend)
+        .map(({ record, ownership }) => ({ source: record.source, ownership })));
+    }
+  }
+  
+  /**
+   * Move every record from a backend to another (IDs are kept, so links stay valid)
+   * @param {string} fromId - Source backend ID
+   * @param {string} toId - Target backend ID
+   * @returns {number} Number of moved records
+   */
+  static async migrate(fromId, toId) {
+    if (fromId === toId) return 0;
+    
+    const from = this.getBackend(fromId);
+    await this.getBackend(toId).ensureContainer();
+    
+    const records = this.getRecords(fromId);
+    if (records.length === 0) return 0;
+    
+    console.log(`Delta Green UI | Moving ${records.length} records from ${fromId} to ${toId}`);
+    
+    await this.create(records.map(record => ({
+      id: record.id,
+      name: record.name,
+      img: record.img,
+      ownership: from.getOwnership(record.source),
+      data: foundry.utils.deepClone(from.getData(record.source))
+    })), toId);
+    
+    // Old copies are only removed once every record is stored in the new backend
+    await this.delete(records);
+    return records.length;
+  }
+  
+  /**
+   * Check if another folder already has a name, for a backend whose records folder would be renamed
+   * (records would then be looked up in that other folder)
+   * @param {string} name - Folder name
+   * @returns {boolean} True if taken
+   */
+  static isFolderNameTaken(name) {
+    return [ActorBackend, JournalBackend].some(backend => {
+      const folder = backend.getFolder();
+      return folder && game.folders.some(f => f.id !== folder.id && f.name === name && f.type === backend.documentName);
+    });
+  }
+  
+  /**
+   * Rename records folders (Actor and JournalEntry backends)
+   * @param {string} name - New folder name
+   * @throws {Error} If a folder already has the name
+   */
+  static async renameFolders(name) {
+    if (this.isFolderNameTaken(name)) throw new Error(`A folder named "${name}" already exists`);
+    
+    for (const backend of [ActorBackend, JournalBackend]) {
+      await backend.getFolder()?.update({ name });
+    }
+  }
+}
+
+/**
+ * Storage settings and migration tool (GM)
+ */
+export class RecordStorageConfig extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'dg-record-storage-config',
+      title: 'Record Storage',
+      template: `modules/${DeltaGreenUI.ID}/templates/record-storage-config.html`,
+      width: 480,
+      height: 'auto',
+      closeOnSubmit: true
+    });
+  }
+  
+  getData() {
+    const current = RecordStorage.getBackendId();
+    
+    return {
+      folderName: RecordStorage.getFolderName(),
+      backends: Object.entries(RecordStorage.BACKENDS).map(([value, backend]) => ({
+        value,
+        label: backend.label,
+        count: RecordStorage.getRecords(value).length,
+        selected: value === current
+      }))
+    };
+  }
+  
+  async _updateObject(event, formData) {
+    const folderName = String(formData.folderName || '').trim() || 'PC Records';
+    const current = RecordStorage.getBackendId();
+    
+    // Records of the renamed folder would be lost among the other folder's documents
+    if (folderName !== RecordStorage.getFolderName() && RecordStorage.isFolderNameTaken(folderName)) {
+      ui.notifications.error(`A folder named "${folderName}" already exists, records folder not renamed`);
+      return;
+    }
+    
+    try {
+      if (folderName !== RecordStorage.getFolderName()) {
+        await RecordStorage.renameFolders(folderName);
+        await game.settings.set(DeltaGreenUI.ID, 'recordFolder', folderName);
+      }
+      
+      if (formData.backend !== current && RecordStorage.BACKENDS[formData.backend]) {
+        if (formData.move) {
+          const count = await RecordStorage.migrate(current, formData.backend);
+          ui.notifications.info(`${count} records moved to ${RecordStorage.BACKENDS[formData.backend].label}`);
+        }
+        await game.settings.set(DeltaGreenUI.ID, 'storageBackend', formData.backend);
+      }
+      
+      await RecordStorage.ensureContainer();
+      ui.notifications.info("Record storage saved");
+    } catch (error) {
+      console.error('Delta Green UI | Error saving record storage:', error);
+      ui.notifications.error("Error moving records, storage unchanged");
+    }
+  }
+}
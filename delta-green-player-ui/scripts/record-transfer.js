@@ -0,0 +1,617 @@
+/**
+ * Record Transfer for Delta Green Player UI
+ * Export of records to JSON/CSV and import with field mapping (GM only)
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordSchema } from './record-schema.js';
+import { ClearanceManager } from './clearance-manager.js';
+import { RecordStorage } from './record-storage.js';
+import { RecordAttachments } from './record-attachments.js';
+import { RecordTrash } from './record-trash.js';
+
+export class RecordTransfer {
+  // Columns that are not schema fields
+  static MODULE_COLUMNS = ['caseNumber', 'recordType', 'classification', 'compartments', 'tags', 'img'];
+  
+  // Folder receiving images embedded in imported files
+  static IMPORT_FOLDER = 'delta-green-imports';
+  
+  // Parsed import waiting for confirmation { rows, columns, files }
+  static pendingImport = null;
+  
+  /**
+   * Initialize record transfer
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing record transfer');
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Export records
+    $(document).on('click', '#dg-export-records', async (e) => {
+      e.preventDefault();
+      await this.exportRecords($('#dg-export-format').val(), $('#dg-export-scope').val());
+    });
+    
+    // Pick file to import
+    $(document).on('click', '#dg-import-records', (e) => {
+      e.preventDefault();
+      $('#dg-import-file').val('').trigger('click');
+    });
+    
+    $(document).on('change', '#dg-import-file', async (e) => {
+      const file = e.currentTarget.files?.[0];
+      if (file) await this.loadImportFile(file);
+    });
+    
+    // Mapping or duplicate strategy changed
+    $(document).on('change', '#dg-import-mapping .dg-import-map, #dg-import-duplicates', () => {
+      this.renderImportSummary();
+    });
+    
+    $(document).on('click', '#dg-import-confirm', async (e) => {
+      e.preventDefault();
+      await this.confirmImport();
+    });
+    
+    $(document).on('click', '#dg-import-cancel', (e) => {
+      e.preventDefault();
+      this.closeImport();
+    });
+  }
+  
+  /**
+   * Get every schema field key, all record types together
+   * @returns {Array} Fields { key, label }
+   */
+  static getAllFieldKeys() {
+    const fields = new Map();
+    for (const type of Object.keys(RecordSchema.RECORD_TYPES)) {
+      RecordSchema.getFields(type).forEach(f => {
+        if (!fields.has(f.key)) fields.set(f.key, f.label);
+      });
+    }
+    return [...fields].map(([key, label]) => ({ key, label }));
+  }
+  
+  /**
+   * Export records to a file
+   * @param {string} format - 'json' or 'csv'
+   * @param {string} scope - 'all' or 'listed' (records currently shown in list)
+   */
+  static async exportRecords(format = 'json', scope = 'all') {
+    if (!game.user.isGM) return;
+    
+    const records = scope === 'listed' ? RecordsManager.listedRecords : RecordsManager.getAllRecords();
+    if (records.length === 0) {
+      ui.notifications.warn("No records to export");
+      return;
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    
+    if (format === 'csv') {
+      saveDataToFile(this.toCSV(records), 'text/csv', `pc-records-${date}.csv`);
+    } else {
+      saveDataToFile(JSON.stringify(await this.toJSON(records), null, 2), 'application/json', `pc-records-${date}.json`);
+    }
+    
+    ui.notifications.info(`${records.length} records exported`);
+  }
+  
+  /**
+   * Build JSON export with every module flag of the records
+   * @param {Array<StoredRecord>} records - Records
+   * @returns {Promise<Object>} Export data
+   */
+  static async toJSON(records) {
+    return {
+      module: DeltaGreenUI.ID,
+      schemaVersion: RecordSchema.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      records: records.map(record => ({
+        name: record.name,
+        img: record.img,
+        flags: foundry.utils.deepClone(record.flags?.[DeltaGreenUI.ID] || {})
+      })),
+      files: await this.embedImages(records)
+    };
+  }
+  
+  /**
+   * Get image paths used by records (portraits and image attachments)
+   * Core icons are left out, every world has them
+   * @param {Array<Object>} entries - Entries { img, attachments }
+   * @returns {Array<string>} Image paths
+   */
+  static getImagePaths(entries) {
+    const paths = entries.flatMap(entry => [
+      entry.img,
+      ...(entry.attachments || []).map(a => a.path).filter(path => RecordAttachments.getKind(path) === 'image')
+    ]);
+    return [...new Set(paths.filter(path => path && !path.startsWith('icons/')))];
+  }
+  
+  /**
+   * Read record images as data URLs, so the export works in another world
+   * @param {Array<StoredRecord>} records - Records
+   * @returns {Promise<Object>} Map of path => data URL
+   */
+  static async embedImages(records) {
+    const entries = records.map(record => ({ img: record.img, attachments: record.getFlag(DeltaGreenUI.ID, 'attachments') }));
+    const files = {};
+    
+    for (const path of this.getImagePaths(entries)) {
+      try {
+        const response = await fetch(path);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        const blob = await response.blob();
+        files[path] = await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        });
+      } catch (error) {
+        console.warn(`Delta Green UI | Image ${path} not embedded in export:`, error);
+      }
+    }
+    
+    return files;
+  }
+  
+  /**
+   * Make embedded images of imported entries available in this world
+   * Images missing here are uploaded and entry paths are rewritten to the uploaded copies
+   * @param {Array<Object>} entries - Import entries { data, img }
+   */
+  static async restoreImages(entries) {
+    const files = this.pendingImport.files || {};
+    const paths = this.getImagePaths(entries.map(entry => ({ img: entry.img, attachments: entry.data.attachments })))
+      .filter(path => files[path]);
+    if (paths.length === 0) return;
+    
+    const folder = `worlds/${game.world.id}/${this.IMPORT_FOLDER}`;
+    try {
+      await FilePicker.createDirectory('data', folder);
+    } catch (error) {
+      // Folder already exists
+    }
+    
+    const restored = {};
+    for (const path of paths) {
+      try {
+        // Same world: file is still there
+        const existing = await fetch(path, { method: 'HEAD' });
+        if (existing.ok) continue;
+        
+        const blob = await (await fetch(files[path])).blob();
+        const name = `${foundry.utils.randomID(8)}-${path.split('/').pop().split('?')[0]}`;
+        const response = await FilePicker.upload('data', folder, new File([blob], name, { type: blob.type }), {}, { notify: false });
+        if (response?.path) restored[path] = response.path;
+      } catch (error) {
+        console.warn(`Delta Green UI | Image ${path} not restored from import:`, error);
+      }
+    }
+    
+    entries.forEach(entry => {
+      if (restored[entry.img]) entry.img = restored[entry.img];
+      if (Array.isArray(entry.data.attachments)) {
+        entry.data.attachments = entry.data.attachments.map(a => restored[a.path] ? { ...a, path: restored[a.path] } : a);
+      }
+    });
+  }
+  
+  /**
+   * Build CSV export (one column per field, history, redaction state and embedded images are JSON only)
+   * @param {Array<StoredRecord>} records - Records
+   * @returns {string} CSV content
+   */
+  static toCSV(records) {
+    const columns = [...this.MODULE_COLUMNS, ...this.getAllFieldKeys().map(f => f.key)];
+    
+    const lines = [columns];
+    records.forEach(record => {
+      const flags = record.flags?.[DeltaGreenUI.ID] || {};
+      lines.push(columns.map(column => {
+        if (column === 'img') return record.img || '';
+        if (column === 'recordType') return RecordSchema.getRecordType(record);
+        if (column === 'classification') return ClearanceManager.LEVELS[Number(flags.classification) || 0];
+        const value = flags[column];
+        return Array.isArray(value) ? value.join(', ') : value ?? '';
+      }));
+    });
+    
+    return lines.map(line => line.map(v => this.escapeCSV(v)).join(',')).join('\r\n');
+  }
+  
+  /**
+   * Escape a CSV cell
+   * @param {*} value - Cell value
+   * @returns {string} Escaped cell
+   */
+  static escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  
+  /**
+   * Parse CSV content (quoted cells may contain commas and line breaks)
+   * @param {string} text - CSV content
+   * @returns {Array<Array<string>>} Rows of cells
+   */
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    
+    // Drop empty lines
+    return rows.filter(r => r.some(c => c.trim()));
+  }
+  
+  /**
+   * Read an import file and show field mapping
+   * @param {File} file - JSON or CSV file
+   */
+  static async loadImportFile(file) {
+    if (!game.user.isGM) return;
+    
+    try {
+      const text = await file.text();
+      const isJSON = file.name.toLowerCase().endsWith('.json');
+      this.pendingImport = isJSON ? this.readJSON(text) : this.readCSV(text);
+    } catch (error) {
+      console.error('Delta Green UI | Error reading import file:', error);
+      ui.notifications.error("Unreadable import file");
+      return;
+    }
+    
+    if (this.pendingImport.rows.length === 0) {
+      ui.notifications.warn("No records found in import file");
+      this.pendingImport = null;
+      return;
+    }
+    
+    this.renderMapping();
+    this.renderImportSummary();
+    $('#dg-record-import').show();
+  }
+  
+  /**
+   * Read rows of a JSON export
+   * @param {string} text - File content
+   * @returns {Object} { rows, columns, files }
+   */
+  static readJSON(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data.records || [];
+    
+    const rows = list.map(entry => {
+      const flags = entry.flags?.[DeltaGreenUI.ID] || entry.flags || entry;
+      return { ...flags, img: entry.img ?? flags.img ?? '' };
+    });
+    
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))]
+      .filter(column => !['revisions', 'redactions', 'links', 'createdBy', 'attachments'].includes(column));
+    
+    return { rows, columns, files: data.files || {} };
+  }
+  
+  /**
+   * Read rows of a CSV file (first line is the header)
+   * @param {string} text - File content
+   * @returns {Object} { rows, columns }
+   */
+  static readCSV(text) {
+    const [header = [], ...lines] = this.parseCSV(text.replace(/^\uFEFF/, ''));
+    const columns = header.map(c => c.trim());
+    
+    const rows = lines.map(cells => {
+      const row = {};
+      columns.forEach((column, index) => row[column] = cells[index] ?? '');
+      return row;
+    });
+    
+    return { rows, columns };
+  }
+  
+  /**
+   * Guess target field of an import column (by key, then by label)
+   * @param {string} column - Column name
+   * @returns {string} Target key ('' to ignore)
+   */
+  static guessTarget(column) {
+    const normalized = column.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const targets = [...this.MODULE_COLUMNS.map(key => ({ key, label: key })), ...this.getAllFieldKeys()];
+    
+    const match = targets.find(t => t.key.toLowerCase() === normalized)
+      || targets.find(t => t.label.toLowerCase().replace(/[^a-z0-9]/g, '') === normalized);
+    
+    return match?.key || '';
+  }
+  
+  /**
+   * Render column mapping of pending import
+   */
+  static renderMapping() {
+    const $mapping = $('#dg-import-mapping');
+    $mapping.empty();
+    
+    const targets = [
+      { key: '', label: '(IGNORE)' },
+      ...this.MODULE_COLUMNS.map(key => ({ key, label: key })),
+      ...this.getAllFieldKeys().map(f => ({ key: f.key, label: `${f.label} (${f.key})` }))
+    ];
+    
+    this.pendingImport.columns.forEach(column => {
+      const guess = this.guessTarget(column);
+      const $select = $('<select class="dg-form-select dg-import-map"></select>').attr('data-column', column);
+      targets.forEach(t => {
+        $select.append($('<option></option>').val(t.key).text(t.label.toUpperCase()).prop('selected', t.key === guess));
+      });
+      
+      const $row = $('<div class="dg-import-map-row"></div>');
+      $row.append($('<span class="dg-import-column"></span>').text(column), $select);
+      $mapping.append($row);
+    });
+  }
+  
+  /**
+   * Read current mapping
+   * @returns {Object} Map of column => target key
+   */
+  static getMapping() {
+    const mapping = {};
+    $('#dg-import-mapping .dg-import-map').each((i, select) => {
+      const target = $(select).val();
+      if (target) mapping[$(select).attr('data-column')] = target;
+    });
+    return mapping;
+  }
+  
+  /**
+   * Convert an import row to record data and check it
+   * @param {Object} row - Raw row
+   * @param {Object} mapping - Column mapping
+   * @returns {Object} { data, img, errors }
+   */
+  static prepareRow(row, mapping) {
+    const data = {};
+    let img = '';
+    
+    for (const [column, target] of Object.entries(mapping)) {
+      const value = row[column];
+      if (target === 'img') {
+        img = String(value ?? '').trim();
+      } else {
+        data[target] = typeof value === 'string' ? value.trim() : value;
+      }
+    }
+    
+    const errors = [];
+    
+    // Record type (defaults to person)
+    data.recordType = String(data.recordType || 'person').toLowerCase();
+    if (!RecordSchema.RECORD_TYPES[data.recordType]) {
+      errors.push(`unknown record type "${data.recordType}"`);
+      data.recordType = 'person';
+    }
+    
+    // Classification may be a level number or label
+    const label = String(data.classification ?? '').toUpperCase();
+    const level = ClearanceManager.LEVELS.indexOf(label);
+    data.classification = level !== -1 ? level : Math.max(0, Math.min(ClearanceManager.LEVELS.length - 1, Number(data.classification) || 0));
+    data.compartments = ClearanceManager.parseCompartments(data.compartments);
+    data.tags = RecordsManager.parseTags(data.tags);
+    
+    data.caseNumber = String(data.caseNumber ?? '').trim();
+    
+    // History and reveal state only come with JSON exports
+    if (Array.isArray(row.revisions)) data.revisions = row.revisions;
+    if (row.redactions && typeof row.redactions === 'object') data.redactions = row.redactions;
+    if (row.createdBy) data.createdBy = String(row.createdBy);
+    if (Array.isArray(row.attachments)) data.attachments = row.attachments;
+    
+    RecordSchema.getFields(data.recordType).forEach(field => {
+      const error = RecordSchema.validateValue(field, data[field.key]);
+      if (error) errors.push(error.toLowerCase());
+      data[field.key] = data[field.key] ?? '';
+    });
+    
+    return { data, img, errors };
+  }
+  
+  /**
+   * Check pending import: validation and duplicates by case number
+   * Duplicates are flagged inFile when an earlier row of the file has the same case number
+   * @returns {Object} { valid, invalid, duplicates }
+   */
+  static analyzeImport() {
+    const mapping = this.getMapping();
+    // Deleted records still hold their case number until purged
+    const existing = new Map(RecordStorage.getRecords()
+      .map(r => [String(r.getFlag(DeltaGreenUI.ID, 'caseNumber') || ''), r]));
+    const seen = new Set();
+    
+    const result = { valid: [], invalid: [], duplicates: [] };
+    
+    this.pendingImport.rows.forEach((row, index) => {
+      const entry = { ...this.prepareRow(row, mapping), line: index + 1 };
+      const caseNumber = entry.data.caseNumber;
+      
+      if (entry.errors.length > 0) {
+        result.invalid.push(entry);
+      } else if (caseNumber && (existing.has(caseNumber) || seen.has(caseNumber))) {
+        entry.existing = existing.get(caseNumber) || null;
+        entry.inFile = seen.has(caseNumber);
+        result.duplicates.push(entry);
+      } else {
+        result.valid.push(entry);
+      }
+      
+      if (caseNumber) seen.add(caseNumber);
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Render validation summary of pending import
+   */
+  static renderImportSummary() {
+    if (!this.pendingImport) return;
+    
+    const { valid, invalid, duplicates } = this.analyzeImport();
+    const $summary = $('#dg-import-summary');
+    $summary.empty();
+    
+    $summary.append($('<div></div>').text(
+      `${this.pendingImport.rows.length} ROWS - ${valid.length} VALID - ${duplicates.length} DUPLICATE(S) - ${invalid.length} INVALID`
+    ));
+    
+    const $list = $('<ul class="dg-results-list"></ul>');
+    invalid.forEach(entry => {
+      $list.append($('<li class="dg-result-item dg-import-error"></li>').text(`ROW ${entry.line}: ${entry.errors.join(', ').toUpperCase()}`));
+    });
+    duplicates.forEach(entry => {
+      const reason = entry.inFile ? 'REPEATED IN FILE' : RecordTrash.isDeleted(entry.existing) ? 'ALREADY EXISTS (DELETED)' : 'ALREADY EXISTS';
+      $list.append($('<li class="dg-result-item dg-import-duplicate"></li>').text(`ROW ${entry.line}: CASE ${entry.data.caseNumber} ${reason}`));
+    });
+    $summary.append($list);
+  }
+  
+  /**
+   * Generate a case number not used by any record
+   * @param {Set<string>} used - Case numbers already taken
+   * @returns {string} Case number
+   */
+  static newCaseNumber(used) {
+    let caseNumber;
+    do {
+      caseNumber = String(Math.floor(Math.random() * 900000) + 100000);
+    } while (used.has(caseNumber));
+    used.add(caseNumber);
+    return caseNumber;
+  }
+  
+  /**
+   * Import pending records
+   */
+  static async confirmImport() {
+    if (!game.user.isGM || !this.pendingImport) return;
+    
+    if (!RecordStorage.isAvailable()) {
+      ui.notifications.error(`${RecordStorage.getFolderName()} folder not found`);
+      return;
+    }
+    
+    const { valid, duplicates } = this.analyzeImport();
+    const strategy = $('#dg-import-duplicates').val();
+    const used = new Set(RecordStorage.getRecords().map(r => String(r.getFlag(DeltaGreenUI.ID, 'caseNumber') || '')));
+    
+    const toCreate = [...valid];
+    const toOverwrite = [];
+    const skipped = [];
+    
+    // A case number repeated in the file is only overwritten once, by its first row
+    duplicates.forEach(entry => {
+      if (strategy === 'new') {
+        entry.data.caseNumber = '';
+        toCreate.push(entry);
+      } else if (strategy === 'overwrite' && entry.existing && !entry.inFile) {
+        toOverwrite.push(entry);
+      } else {
+        skipped.push(entry);
+      }
+    });
+    
+    try {
+      await this.restoreImages([...toCreate, ...toOverwrite]);
+      
+      // Single batch creation
+      const createData = toCreate.map(entry => {
+        if (!entry.data.caseNumber) entry.data.caseNumber = this.newCaseNumber(used);
+        used.add(entry.data.caseNumber);
+        
+        return {
+          name: `Case ${entry.data.caseNumber}: ${RecordSchema.getRecordTitle(entry.data, entry.data.recordType)}`,
+          img: entry.img || RecordSchema.RECORD_TYPES[entry.data.recordType].icon,
+          data: entry.data
+        };
+      });
+      
+      if (createData.length > 0) {
+        await RecordStorage.create(createData);
+      }
+      
+      // Overwritten records keep their history
+      for (const entry of toOverwrite) {
+        delete entry.data.revisions;
+        delete entry.data.redactions;
+        await RecordsManager.writeRecordData(entry.existing, entry.data, { img: entry.img });
+      }
+      
+      ui.notifications.info(`${createData.length} records created, ${toOverwrite.length} updated, ${skipped.length} skipped`);
+      if (strategy === 'overwrite' && skipped.length > 0) {
+        ui.notifications.warn(`Skipped rows: ${skipped.map(entry => `${entry.line} (case ${entry.data.caseNumber})`).join(', ')}`);
+      }
+      this.closeImport();
+      RecordsManager.loadRecords();
+    } catch (error) {
+      console.error('Delta Green UI | Error importing records:', error);
+      ui.notifications.error("Error importing records");
+    }
+  }
+  
+  /**
+   * Close import panel
+   */
+  static closeImport() {
+    this.pendingImport = null;
+    $('#dg-record-import').hide();
+    $('#dg-import-mapping, #dg-import-summary').empty();
+  }
+}
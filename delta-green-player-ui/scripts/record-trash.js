@@ -0,0 +1,254 @@
+/**
+ * Record Trash for Delta Green Player UI
+ * Deleted records stay in DELETED FILES until restored, purged or expired
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordStorage } from './record-storage.js';
+import { ClearanceManager } from './clearance-manager.js';
+
+export class RecordTrash {
+  // Check for expired records every hour
+  static EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000;
+  
+  /**
+   * Initialize record trash
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing record trash');
+    
+    // Initialize events
+    this.initEvents();
+    
+    // Expired records are purged by a single GM
+    if (DeltaGreenUI.isPrimaryGM()) {
+      this.purgeExpired();
+      setInterval(() => this.purgeExpired(), this.EXPIRY_CHECK_INTERVAL);
+    }
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Toggle DELETED FILES section
+    $(document).on('click', '#dg-deleted-records-button', (e) => {
+      e.preventDefault();
+      const $panel = $('#dg-deleted-records');
+      $panel.toggle();
+      if ($panel.is(':visible')) this.displayDeletedRecords();
+    });
+    
+    // Restore a record
+    $(document).on('click', '#dg-deleted-records-list .dg-trash-restore', async (e) => {
+      e.preventDefault();
+      await this.restoreRecord($(e.currentTarget).closest('.dg-deleted-record').data('record-id'));
+    });
+    
+    // Purge a record
+    $(document).on('click', '#dg-deleted-records-list .dg-trash-purge', async (e) => {
+      e.preventDefault();
+      await this.purgeRecord($(e.currentTarget).closest('.dg-deleted-record').data('record-id'));
+    });
+  }
+  
+  /**
+   * Check if a record is in the trash
+   * @param {StoredRecord} record - Record
+   * @returns {boolean} True if deleted
+   */
+  static isDeleted(record) {
+    return !!record?.getFlag(DeltaGreenUI.ID, 'deletedAt');
+  }
+  
+  /**
+   * Get records in the trash, most recently deleted first
+   * @returns {Array<StoredRecord>} Deleted records
+   */
+  static getDeletedRecords() {
+    return RecordStorage.getRecords()
+      .filter(r => this.isDeleted(r))
+      .sort((a, b) => b.getFlag(DeltaGreenUI.ID, 'deletedAt') - a.getFlag(DeltaGreenUI.ID, 'deletedAt'));
+  }
+  
+  /**
+   * Check if current user may purge records
+   * @param {StoredRecord} record - Record
+   * @returns {boolean} True if allowed
+   */
+  static canPurge(record) {
+    if (game.user.isGM) return true;
+    return !game.settings.get(DeltaGreenUI.ID, 'gmOnlyPurge') && record.isOwner;
+  }
+  
+  /**
+   * Get expiry date of a deleted record
+   * @param {StoredRecord} record - Record
+   * @returns {number|null} Timestamp in ms, null if records never expire
+   */
+  static getExpiry(record) {
+    const days = Number(game.settings.get(DeltaGreenUI.ID, 'trashExpiryDays')) || 0;
+    if (days <= 0) return null;
+    return record.getFlag(DeltaGreenUI.ID, 'deletedAt') + days * 24 * 60 * 60 * 1000;
+  }
+  
+  /**
+   * Move a record to the trash
+   * @param {string} recordId - Record ID
+   */
+  static async trashRecord(recordId) {
+    const record = RecordsManager.getRecord(recordId);
+    if (!record || this.isDeleted(record)) return;
+    
+    if (!record.isOwner) {
+      ui.notifications.error("Only the record owner can delete this record");
+      return;
+    }
+    
+    await RecordStorage.update(record, {
+      data: { deletedAt: Date.now(), deletedBy: game.user.name }
+    });
+    
+    if (RecordsManager.currentRecordId === recordId) RecordsManager.hideRecordForm({ force: true });
+    
+    ui.notifications.info("Record moved to DELETED FILES");
+    RecordsManager.loadRecords();
+  }
+  
+  /**
+   * Restore a record from the trash
+   * @param {string} recordId - Record ID
+   */
+  static async restoreRecord(recordId) {
+    const record = RecordsManager.getRecord(recordId);
+    if (!record) return;
+    
+    if (!record.isOwner) {
+      ui.notifications.error("Only the record owner can restore this record");
+      return;
+    }
+    
+    await RecordStorage.update(record, { unset: ['deletedAt', 'deletedBy'] });
+    
+    ui.notifications.info("Record restored");
+    RecordsManager.loadRecords();
+  }
+  
+  /**
+   * Permanently delete a record after confirmation
+   * @param {string} recordId - Record ID
+   */
+  static async purgeRecord(recordId) {
+    const record = RecordsManager.getRecord(recordId);
+    if (!record) return;
+    
+    if (!this.canPurge(record)) {
+      ui.notifications.error("Only the Handler can purge deleted files");
+      return;
+    }
+    
+    // Purge confirmation with custom options to ensure dialog is visible
+    const confirmed = await new Promise((resolve) => {
+      const d = new Dialog({
+        title: "Purge Confirmation",
+        content: "Are you sure you want to purge this record? This action cannot be undone.",
+        buttons: {
+          yes: {
+            icon: '<i class="fas fa-check"></i>',
+            label: "Yes",
+            callback: () => resolve(true)
+          },
+          no: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "No",
+            callback: () => resolve(false)
+          }
+        },
+        default: "no",
+        close: () => resolve(false),
+        // Make dialog more visible
+        render: (html) => {
+          // Increase z-index to ensure it's above CRT interface
+          $(html).closest('.app').css('z-index', '10000');
+          // Add style to make dialog more visible
+          $(html).closest('.app').css('background-color', '#1a1a1a');
+          $(html).closest('.app').css('border', '2px solid #ffb000');
+          $(html).closest('.app').css('color', '#ffb000');
+          $(html).find('.dialog-buttons button').css('background-color', '#ffb000');
+          $(html).find('.dialog-buttons button').css('color', '#1a1a1a');
+        }
+      });
+      d.render(true);
+    });
+    
+    if (!confirmed) return;
+    
+    await RecordStorage.delete([record]);
+    ui.notifications.info("Record purged");
+    RecordsManager.loadRecords();
+  }
+  
+  /**
+   * Purge records deleted for longer than the expiry delay (primary GM only)
+   */
+  static async purgeExpired() {
+    if (!DeltaGreenUI.isPrimaryGM() || !RecordStorage.isAvailable()) return;
+    
+    const now = Date.now();
+    const expired = this.getDeletedRecords().filter(r => {
+      const expiry = this.getExpiry(r);
+      return expiry !== null && expiry <= now;
+    });
+    
+    if (expired.length === 0) return;
+    
+    try {
+      await RecordStorage.delete(expired);
+      console.log(`Delta Green UI | Purged ${expired.length} expired deleted records`);
+    } catch (error) {
+      console.error('Delta Green UI | Error purging expired records:', error);
+    }
+  }
+  
+  /**
+   * Display DELETED FILES section
+   */
+  static displayDeletedRecords() {
+    const records = this.getDeletedRecords();
+    $('#dg-deleted-records-button').text(`DELETED FILES (${records.length})`);
+    
+    const $list = $('#dg-deleted-records-list');
+    if (!$list.length || !$('#dg-deleted-records').is(':visible')) return;
+    
+    $list.empty();
+    
+    if (records.length === 0) {
+      $list.append('<li class="dg-result-item dg-no-entries">No deleted files</li>');
+      return;
+    }
+    
+    records.forEach(record => {
+      const caseNumber = record.getFlag(DeltaGreenUI.ID, 'caseNumber') || '??????';
+      const label = ClearanceManager.canAccess(record) ? RecordsManager.getRecordLabel(record) : 'ACCESS DENIED';
+      const deletedAt = new Date(record.getFlag(DeltaGreenUI.ID, 'deletedAt')).toISOString().slice(0, 10);
+      const expiry = this.getExpiry(record);
+      
+      let meta = `DELETED ${deletedAt} BY ${String(record.getFlag(DeltaGreenUI.ID, 'deletedBy') || 'UNKNOWN').toUpperCase()}`;
+      if (expiry !== null) meta += ` - PURGED ON ${new Date(expiry).toISOString().slice(0, 10)}`;
+      
+      const $item = $('<li class="dg-result-item dg-deleted-record"></li>').attr('data-record-id', record.id);
+      const $text = $('<div class="dg-deleted-record-text"></div>');
+      $text.append($('<div></div>').text(`CASE ${caseNumber} - ${label}`));
+      $text.append($('<div class="dg-deleted-record-meta"></div>').text(meta));
+      $item.append($text);
+      
+      const $actions = $('<div class="dg-deleted-record-actions"></div>');
+      if (record.isOwner) $actions.append('<button class="dg-button dg-trash-restore">RESTORE</button>');
+      if (this.canPurge(record)) $actions.append('<button class="dg-button dg-trash-purge">PURGE</button>');
+      $item.append($actions);
+      
+      $list.append($item);
+    });
+  }
+}
@@ -3,10 +3,55 @@
  */
 
 import { DeltaGreenUI } from './delta-green-ui.js';
+import { ClearanceManager } from './clearance-manager.js';
+import { RecordHistory } from './record-history.js';
+import { RedactionManager } from './redaction-manager.js';
+import { RecordSchema } from './record-schema.js';
+import { RecordQuery, QuerySyntaxError } from './record-query.js';
+import { RecordLinks } from './record-links.js';
+import { RecordAttachments } from './record-attachments.js';
+import { RecordStorage } from './record-storage.js';
+import { RecordLocks } from './record-locks.js';
+import { RecordDrafts } from './record-drafts.js';
+import { RecordTrash } from './record-trash.js';
 
 export class RecordsManager {
   static currentRecordId = null;
   
+  // Type of record shown in case study form
+  static currentRecordType = 'person';
+  
+  // Sortable columns of records list
+  static SORT_COLUMNS = {
+    caseNumber: 'CASE #',
+    name: 'NAME',
+    modified: 'LAST MODIFIED',
+    creator: 'CREATOR'
+  };
+  
+  // Default records list preferences (type 'all' for every type, mode 'list' or 'table')
+  static DEFAULT_VIEW = { type: 'all', tags: [], sort: 'caseNumber', direction: 'asc', mode: 'list' };
+  
+  // Readable records currently shown in records list
+  static listedRecords = [];
+  
+  // Matched fields of last search (record ID => [{ key, text }]), null when not searching
+  static searchMatches = null;
+  
+  /**
+   * Get labels of every stored record field (schema fields and module fields)
+   * @param {string} type - Record type
+   * @returns {Object} Map of key => label
+   */
+  static getFieldLabels(type = 'person') {
+    const labels = { caseNumber: 'Case Number', recordType: 'Record Type' };
+    RecordSchema.getFields(type).forEach(f => labels[f.key] = f.label);
+    labels.classification = 'Classification';
+    labels.compartments = 'Compartments';
+    labels.tags = 'Tags';
+    return labels;
+  }
+  
   /**
    * Initialize records manager
    */
@@ -20,19 +65,35 @@ export class RecordsManager {
   }
   
   /**
-   * Load records from "PC Records" folder
+   * Get every stored record, cleared or not (deleted files excluded)
+   * @returns {Array<StoredRecord>} Records
+   */
+  static getAllRecords() {
+    return RecordStorage.getRecords().filter(r => !RecordTrash.isDeleted(r));
+  }
+  
+  /**
+   * Get a record by ID
+   * @param {string} recordId - Record ID
+   * @returns {StoredRecord|undefined} Record
+   */
+  static getRecord(recordId) {
+    return RecordStorage.getRecord(recordId);
+  }
+  
+  /**
+   * Load records from storage
    */
   static async loadRecords() {
-    // Find PC Records folder
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-    
-    if (!folder) return;
+    // Records folder may not exist yet
+    if (!RecordStorage.isAvailable()) return;
     
-    // Get actors in this folder
-    const records = game.actors.filter(a => a.folder?.id === folder.id);
+    const records = this.getAllRecords();
     
     // Display in interface
+    this.searchMatches = null;
     this.displayAllRecords(records);
+    RecordTrash.displayDeletedRecords();
   }
   
   /**
@@ -42,48 +103,240 @@ export class RecordsManager {
   static displayAllRecords(records = null) {
     // If no records provided, get them
     if (!records) {
-      const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-      if (!folder) return;
-      records = game.actors.filter(a => a.folder?.id === folder.id);
+      if (!RecordStorage.isAvailable()) return;
+      records = this.getAllRecords();
+    }
+    
+    const prefs = this.getViewPrefs();
+    
+    // Keep only records of selected type and tags
+    if (prefs.type !== 'all') {
+      records = records.filter(r => RecordSchema.getRecordType(r) === prefs.type);
+    }
+    if (prefs.tags.length > 0) {
+      records = records.filter(r => ClearanceManager.canAccess(r) && prefs.tags.every(t => this.getRecordTags(r).includes(t)));
     }
     
+    records = this.sortRecords(records, prefs.sort, prefs.direction);
+    this.listedRecords = records.filter(r => ClearanceManager.canAccess(r));
+    
+    this.renderListControls(prefs);
+    
     const allRecordsList = $('#dg-all-records-list');
     allRecordsList.empty();
+    allRecordsList.toggleClass('dg-records-table', prefs.mode === 'table');
     
     if (records.length === 0) {
       allRecordsList.append('<li>NO RECORDS FOUND</li>');
       return;
     }
     
+    // Column headers of table mode (click to sort)
+    if (prefs.mode === 'table') {
+      const header = $('<li class="dg-records-table-header"></li>');
+      header.append('<span>TYPE</span>');
+      Object.entries(this.SORT_COLUMNS).forEach(([column, label]) => {
+        const arrow = prefs.sort === column ? (prefs.direction === 'asc' ? ' ▲' : ' ▼') : '';
+        header.append($(`<span class="dg-record-sort" data-sort="${column}"></span>`).text(label + arrow));
+      });
+      header.append('<span>TAGS</span>');
+      allRecordsList.append(header);
+    }
+    
     // Add each record to list
     records.forEach(record => {
-      const reference = record.getFlag(DeltaGreenUI.ID, 'surname') || 'UNKNOWN';
-      const firstName = record.getFlag(DeltaGreenUI.ID, 'firstName') || '';
-      const lastName = record.getFlag(DeltaGreenUI.ID, 'middleName') || '';
+      // Records above the agent's clearance only show as stubs
+      if (!ClearanceManager.canAccess(record)) {
+        allRecordsList.append(ClearanceManager.renderDeniedStub(record));
+        return;
+      }
+      
+      const type = RecordSchema.getRecordType(record);
+      const li = $(`<li class="dg-result-item dg-record-columns" data-record-id="${record.id}"></li>`);
+      li.append($('<span class="dg-record-type-code"></span>').text(`[${RecordSchema.RECORD_TYPES[type].code}]`));
+      
+      if (prefs.mode === 'table') {
+        // One compact line per record, one cell per sortable column
+        const modified = this.getLastModified(record);
+        li.append($('<span class="dg-record-column"></span>').text(record.getFlag(DeltaGreenUI.ID, 'caseNumber') || ''));
+        li.append($('<span class="dg-record-column"></span>').text(this.getRecordLabel(record)));
+        li.append($('<span class="dg-record-column"></span>').text(modified ? new Date(modified).toISOString().slice(0, 10) : ''));
+        li.append($('<span class="dg-record-column"></span>').text(this.getCreator(record)));
+      } else {
+        // One column per list field of the type schema
+        RecordSchema.getListFields(type).forEach((field, index) => {
+          const value = this.getFieldDisplay(record, field.key) || (index === 0 ? 'UNKNOWN' : '');
+          li.append($('<span class="dg-record-column"></span>').text(value));
+        });
+      }
+      
+      li.append($('<span class="dg-record-tags"></span>').text(this.getRecordTags(record).map(t => `#${t}`).join(' ')));
+      
+      // Fields matched by last search
+      const matches = this.searchMatches?.get(record.id);
+      if (matches?.length > 0) {
+        const labels = this.getFieldLabels(type);
+        const matched = [...new Set(matches.map(m => (labels[m.key] || m.key).toUpperCase()))];
+        li.append($('<span class="dg-record-match"></span>').text(`MATCH: ${matched.join(', ')}`));
+      }
       
-      const li = $(`<li class="dg-result-item" data-record-id="${record.id}">
-        ${reference} - ${firstName} ${lastName}
-      </li>`);
       allRecordsList.append(li);
       
-      // Add event handler for right click (direct deletion)
+      // Add event handler for right click (moves record to DELETED FILES)
       li.on('contextmenu', function(e) {
         e.preventDefault(); // Prevent default context menu
         const recordId = $(this).data('record-id');
-        RecordsManager.deleteRecord(recordId);
+        RecordTrash.trashRecord(recordId);
       });
     });
   }
   
+  /**
+   * Update type filters, sort buttons, tag filters and mode button of records list
+   * @param {Object} prefs - Records list preferences
+   */
+  static renderListControls(prefs) {
+    $('.dg-record-type-filter').removeClass('active');
+    $(`.dg-record-type-filter[data-record-type="${prefs.type}"]`).addClass('active');
+    
+    $('.dg-records-controls .dg-record-sort').each((i, el) => {
+      const column = $(el).data('sort');
+      const arrow = prefs.sort === column ? (prefs.direction === 'asc' ? ' ▲' : ' ▼') : '';
+      $(el).toggleClass('active', prefs.sort === column).text(this.SORT_COLUMNS[column] + arrow);
+    });
+    
+    $('#dg-records-mode').text(prefs.mode === 'table' ? 'LIST VIEW' : 'TABLE VIEW');
+    
+    // Tags of records the agent is cleared for, plus active filters
+    const tags = new Set(prefs.tags);
+    this.getAllRecords()
+      .filter(r => ClearanceManager.canAccess(r))
+      .forEach(r => this.getRecordTags(r).forEach(t => tags.add(t)));
+    
+    const $filters = $('#dg-record-tag-filters');
+    $filters.empty();
+    [...tags].sort().forEach(tag => {
+      const $button = $('<button class="dg-button dg-record-tag-filter"></button>').attr('data-tag', tag).text(`#${tag}`);
+      $button.toggleClass('active', prefs.tags.includes(tag));
+      $filters.append($button);
+    });
+  }
+  
+  /**
+   * Get records list preferences of current user
+   * @returns {Object} { type, tags, sort, direction, mode }
+   */
+  static getViewPrefs() {
+    return { ...this.DEFAULT_VIEW, ...(game.user.getFlag(DeltaGreenUI.ID, 'recordsView') || {}) };
+  }
+  
+  /**
+   * Save records list preferences of current user and refresh list
+   * @param {Object} changes - Changed preferences
+   */
+  static async setViewPrefs(changes) {
+    await game.user.setFlag(DeltaGreenUI.ID, 'recordsView', { ...this.getViewPrefs(), ...changes });
+    this.searchRecords($('#dg-search-input').val());
+  }
+  
+  /**
+   * Sort records list by a column (same column again reverses order)
+   * @param {string} column - Column key (see SORT_COLUMNS)
+   */
+  static setSort(column) {
+    if (!this.SORT_COLUMNS[column]) return;
+    
+    const prefs = this.getViewPrefs();
+    const direction = prefs.sort === column && prefs.direction === 'asc' ? 'desc' : 'asc';
+    this.setViewPrefs({ sort: column, direction });
+  }
+  
+  /**
+   * Add or remove a tag filter
+   * @param {string} tag - Tag
+   */
+  static toggleTagFilter(tag) {
+    const tags = this.getViewPrefs().tags;
+    this.setViewPrefs({ tags: tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag] });
+  }
+  
+  /**
+   * Switch records list between list and compact table mode
+   */
+  static toggleListMode() {
+    this.setViewPrefs({ mode: this.getViewPrefs().mode === 'table' ? 'list' : 'table' });
+  }
+  
+  /**
+   * Parse a comma-separated list of tags
+   * @param {string|Array} value - Tags
+   * @returns {Array<string>} Unique uppercase tags
+   */
+  static parseTags(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(list.map(t => t.trim().replace(/^#/, '').toUpperCase()).filter(t => t))];
+  }
+  
+  /**
+   * Get tags of a record
+   * @param {StoredRecord} record - Record
+   * @returns {Array<string>} Tags
+   */
+  static getRecordTags(record) {
+    return this.parseTags(record.getFlag(DeltaGreenUI.ID, 'tags'));
+  }
+  
+  /**
+   * Get time of last change of a record
+   * @param {StoredRecord} record - Record
+   * @returns {number} Timestamp in ms (0 if unknown)
+   */
+  static getLastModified(record) {
+    const revisions = RecordHistory.getRevisions(record);
+    return revisions.at(-1)?.timestamp || record.modifiedTime || 0;
+  }
+  
+  /**
+   * Get name of user who created a record
+   * @param {StoredRecord} record - Record
+   * @returns {string} User name
+   */
+  static getCreator(record) {
+    return record.getFlag(DeltaGreenUI.ID, 'createdBy') || RecordHistory.getRevisions(record)[0]?.userName || 'UNKNOWN';
+  }
+  
+  /**
+   * Sort records by a column (denied records sort by case number only)
+   * @param {Array<StoredRecord>} records - Records
+   * @param {string} column - Column key (see SORT_COLUMNS)
+   * @param {string} direction - 'asc' or 'desc'
+   * @returns {Array<StoredRecord>} Sorted records
+   */
+  static sortRecords(records, column, direction) {
+    const getValue = (record) => {
+      if (column === 'modified') return this.getLastModified(record);
+      if (!ClearanceManager.canAccess(record) && column !== 'caseNumber') return '';
+      if (column === 'name') return this.getRecordLabel(record).toUpperCase();
+      if (column === 'creator') return this.getCreator(record).toUpperCase();
+      return String(record.getFlag(DeltaGreenUI.ID, 'caseNumber') || '');
+    };
+    
+    const order = direction === 'desc' ? -1 : 1;
+    return records
+      .map(record => ({ record, value: getValue(record) }))
+      .sort((a, b) => {
+        const result = typeof a.value === 'number' ? a.value - b.value : a.value.localeCompare(b.value, undefined, { numeric: true });
+        return result * order;
+      })
+      .map(item => item.record);
+  }
+  
   /**
    * Search records
    * @param {string} searchTerm - Search term
    */
   static searchRecords(searchTerm) {
-    // Find PC Records folder
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
-    
-    if (!folder) return;
+    if (!RecordStorage.isAvailable()) return;
     
     // If term is empty, display all records
     if (!searchTerm) {
@@ -91,86 +344,183 @@ export class RecordsManager {
       return;
     }
     
-    // Search in folder actors
-    const records = game.actors.filter(a => {
-      if (a.folder?.id !== folder.id) return false;
-      
-      // Search in name and flags
-      const name = a.name.toLowerCase();
-      const surname = a.getFlag(DeltaGreenUI.ID, 'surname')?.toLowerCase() || '';
-      const firstName = a.getFlag(DeltaGreenUI.ID, 'firstName')?.toLowerCase() || '';
-      const searchLower = searchTerm.toLowerCase();
-      
-      return name.includes(searchLower) || 
-             surname.includes(searchLower) || 
-             firstName.includes(searchLower);
-    });
+    // Uncleared hits are listed as ACCESS DENIED stubs, matched on stub data only
+    let result;
+    try {
+      result = RecordQuery.search(searchTerm, this.getAllRecords());
+    } catch (error) {
+      if (!(error instanceof QuerySyntaxError)) throw error;
+      this.displayQueryError(searchTerm, error);
+      return;
+    }
     
     // Display results
-    this.displayAllRecords(records);
+    this.searchMatches = result.matches;
+    this.displayAllRecords(result.records);
+  }
+  
+  /**
+   * Display query syntax error in records list
+   * @param {string} query - Query text
+   * @param {QuerySyntaxError} error - Syntax error
+   */
+  static displayQueryError(query, error) {
+    const allRecordsList = $('#dg-all-records-list');
+    allRecordsList.empty();
+    this.listedRecords = [];
+    
+    const $error = $('<li class="dg-query-error"></li>');
+    $error.append($('<div></div>').text(`?SYNTAX ERROR: ${error.message}`));
+    $error.append($('<pre class="dg-query-caret"></pre>').text(`${query}\n${' '.repeat(error.position)}^`));
+    allRecordsList.append($error);
+  }
+  
+  /**
+   * Highlight fields matched by last search in case study form
+   * @param {string} recordId - Record ID
+   */
+  static highlightMatches(recordId) {
+    const matches = this.searchMatches?.get(recordId) || [];
+    
+    matches.forEach((match, index) => {
+      const $cell = $(`#dg-record-fields [data-field-key="${match.key}"]`);
+      $cell.addClass('dg-field-match');
+      
+      // Select matched text of first field
+      const input = $cell.find('input, textarea')[0];
+      if (index === 0 && input) {
+        const start = input.value.toLowerCase().indexOf(match.text.toLowerCase());
+        if (start !== -1) {
+          input.focus();
+          input.setSelectionRange(start, start + match.text.length);
+        }
+      }
+    });
+  }
+  
+  /**
+   * Set record type shown in records list
+   * @param {string} type - Record type ('all' for every type)
+   */
+  static setTypeFilter(type) {
+    this.setViewPrefs({ type: RecordSchema.RECORD_TYPES[type] ? type : 'all' });
+  }
+  
+  /**
+   * Ask which type of record to create
+   */
+  static showTypePrompt() {
+    $('#dg-record-type-prompt').toggle();
   }
   
   /**
    * Display add/edit record form
    * @param {string} recordId - ID of record to edit (null for new)
+   * @param {string} type - Type of new record
    */
-  static showRecordForm(recordId = null) {
+  static showRecordForm(recordId = null, type = 'person') {
     this.currentRecordId = recordId;
+    $('#dg-record-type-prompt').hide();
+    
+    // Build fields from schema of the record type
+    if (!recordId) {
+      this.currentRecordType = RecordSchema.RECORD_TYPES[type] ? type : 'person';
+      this.renderFormFields(this.currentRecordType);
+    }
     
     // Generate random case number for new records
     if (!recordId) {
       const caseNumber = Math.floor(Math.random() * 900000) + 100000;
       $('#dg-case-number').text(caseNumber);
+      
+      // New records start unclassified
+      ClearanceManager.renderClassificationOptions(0);
+      $('#dg-compartments').val('');
+      $('#dg-record-tags').val('');
+      $('#dg-save-record').show();
+      $('#dg-record-history-button, #dg-record-history, #dg-print-record, #dg-push-record').hide();
+      RedactionManager.displayRedactionControls(null);
+      RecordLinks.displayLinks(null);
+      RecordAttachments.displayAttachments(null);
+      RecordLocks.release();
     }
     
     // If editing existing record, load its data
     if (recordId) {
-      this.showCaseStudyForm(game.actors.get(recordId));
+      this.showCaseStudyForm(this.getRecord(recordId));
     } else {
-      // Reset form for new record
-      $('#dg-surname, #dg-firstname, #dg-middlename, #dg-address, #dg-zipcode, #dg-phone, #dg-dob, #dg-race, #dg-height, #dg-weight, #dg-haircolor, #dg-eyecolor, #dg-relationship, #dg-notes').val('');
-      $('#dg-sex').val('M');
+      // Reset form for new record (required selects keep their first option)
+      RecordSchema.getFields(this.currentRecordType).forEach(field => {
+        RecordSchema.setInputValue(field, field.type === 'select' && field.required ? field.options[0] : '');
+      });
       
-      // Reset image with default image
-      $('#dg-profile-avatar').attr('src', 'icons/svg/mystery-man.svg');
+      // Reset image with default image of the type
+      $('#dg-profile-avatar').attr('src', RecordSchema.RECORD_TYPES[this.currentRecordType].icon);
       
       // Show form
       $('#dg-case-study-form').show();
       
       // Set up avatar button for new records
       this._setupAvatarButton();
+      
+      // Offer draft of a record not saved yet
+      RecordDrafts.track(null);
     }
   }
   
   /**
    * Display case study form for specific actor
-   * @param {Actor} actor - Actor to display
+   * @param {StoredRecord} actor - Record to display
    */
   static showCaseStudyForm(actor) {
     if (!actor) return;
     
+    // Need-to-know check
+    if (!ClearanceManager.canAccess(actor)) {
+      ui.notifications.error("ACCESS DENIED - INSUFFICIENT CLEARANCE");
+      return;
+    }
+    
     this.currentRecordId = actor.id;
+    this.currentRecordType = RecordSchema.getRecordType(actor);
     
     // Fill form
+    this.renderFormFields(this.currentRecordType);
     $('#dg-case-number').text(actor.getFlag(DeltaGreenUI.ID, 'caseNumber') || '');
-    $('#dg-surname').val(actor.getFlag(DeltaGreenUI.ID, 'surname') || '');
-    $('#dg-firstname').val(actor.getFlag(DeltaGreenUI.ID, 'firstName') || '');
-    $('#dg-middlename').val(actor.getFlag(DeltaGreenUI.ID, 'middleName') || '');
-    $('#dg-address').val(actor.getFlag(DeltaGreenUI.ID, 'address') || '');
-    $('#dg-zipcode').val(actor.getFlag(DeltaGreenUI.ID, 'zipCode') || '');
-    $('#dg-phone').val(actor.getFlag(DeltaGreenUI.ID, 'phone') || '');
-    $('#dg-dob').val(actor.getFlag(DeltaGreenUI.ID, 'dateOfBirth') || '');
-    $('#dg-sex').val(actor.getFlag(DeltaGreenUI.ID, 'sex') || 'M');
-    $('#dg-race').val(actor.getFlag(DeltaGreenUI.ID, 'race') || '');
-    $('#dg-height').val(actor.getFlag(DeltaGreenUI.ID, 'height') || '');
-    $('#dg-weight').val(actor.getFlag(DeltaGreenUI.ID, 'weight') || '');
-    $('#dg-haircolor').val(actor.getFlag(DeltaGreenUI.ID, 'hairColor') || '');
-    $('#dg-eyecolor').val(actor.getFlag(DeltaGreenUI.ID, 'eyeColor') || '');
-    $('#dg-relationship').val(actor.getFlag(DeltaGreenUI.ID, 'relationshipStatus') || '');
-    $('#dg-notes').val(actor.getFlag(DeltaGreenUI.ID, 'notes') || '');
+    RecordSchema.getFields(this.currentRecordType).forEach(field => {
+      RecordSchema.setInputValue(field, this.getFieldView(actor, field.key));
+    });
+    
+    // Classification
+    const classification = ClearanceManager.getRecordClassification(actor);
+    ClearanceManager.renderClassificationOptions(classification.level);
+    $('#dg-compartments').val(classification.compartments.join(', '));
+    $('#dg-record-tags').val(this.getRecordTags(actor).join(', '));
+    
+    // Only owners can save changes
+    $('#dg-save-record').toggle(actor.isOwner);
+    
+    // History is available once the record exists
+    $('#dg-record-history-button, #dg-print-record, #dg-push-record').show();
+    $('#dg-record-history').hide();
+    
+    // Redaction controls (GM only)
+    RedactionManager.displayRedactionControls(actor);
+    
+    // Cross-references to other records
+    RecordLinks.displayLinks(actor);
+    
+    // Photos and documents attached to the record
+    RecordAttachments.displayAttachments(actor);
+    
+    // Tell other agents the file is open and warn if someone else has it
+    RecordLocks.acquire(actor);
+    
+    // Show why the record matched the search
+    this.highlightMatches(actor.id);
     
     // Display actor image
-    const imgSrc = actor.img || 'icons/svg/mystery-man.svg';
+    const imgSrc = actor.img || RecordSchema.RECORD_TYPES[this.currentRecordType].icon;
     $('#dg-profile-avatar').attr('src', imgSrc);
     
     // Show form
@@ -184,6 +534,25 @@ export class RecordsManager {
     
     // Add event handler for avatar change button
     this._setupAvatarButton();
+    
+    // Track unsaved changes and offer stored draft
+    RecordDrafts.track(actor);
+  }
+  
+  /**
+   * Build case study form fields from the schema of a record type
+   * @param {string} type - Record type
+   */
+  static renderFormFields(type = 'person') {
+    const $container = $('#dg-record-fields');
+    if (!$container.length) return;
+    
+    $('#dg-record-type-label').text(`[${RecordSchema.RECORD_TYPES[type].label.toUpperCase()}]`);
+    
+    $container.empty();
+    RecordSchema.getFields(type).forEach(field => {
+      $container.append(RecordSchema.renderInput(field));
+    });
   }
   
   /**
@@ -201,7 +570,7 @@ export class RecordsManager {
       // Check that we have a selected actor
       if (!this.currentRecordId) return;
       
-      const actor = game.actors.get(this.currentRecordId);
+      const actor = this.getRecord(this.currentRecordId);
       if (!actor) return;
       
       // Open Foundry file picker
@@ -213,7 +582,7 @@ export class RecordsManager {
           $('#dg-profile-avatar').attr('src', path);
           
           // Update actor image
-          await actor.update({ img: path });
+          await RecordStorage.update(actor, { img: path });
           
           // Success notification
           ui.notifications.info("Image updated successfully");
@@ -227,11 +596,97 @@ export class RecordsManager {
   }
   
   /**
-   * Hide form
+   * Hide form, asking first if it holds unsaved changes
+   * @param {Object} options - Hide options
+   * @param {boolean} options.force - Hide without asking
+   * @returns {Promise<boolean>} True if the form was hidden
    */
-  static hideRecordForm() {
+  static async hideRecordForm({ force = false } = {}) {
+    if (!force && !(await RecordDrafts.confirmDiscard())) return false;
+    
     $('#dg-case-study-form').hide();
+    $('#dg-record-history').hide();
+    $('#dg-record-type-prompt').hide();
+    RecordLocks.closeMerge(false);
+    RecordLocks.release();
+    RecordDrafts.reset();
     this.currentRecordId = null;
+    return true;
+  }
+  
+  /**
+   * Get field value as the current user may edit it (hidden spans as tokens)
+   * @param {StoredRecord} record - Record
+   * @param {string} key - Field key
+   * @returns {string} Editable value
+   */
+  static getFieldView(record, key) {
+    return RedactionManager.toUserView(record.getFlag(DeltaGreenUI.ID, key) || '', record);
+  }
+  
+  /**
+   * Get field value for read-only display (no redaction markup)
+   * @param {StoredRecord} record - Record
+   * @param {string} key - Field key
+   * @returns {string} Display value
+   */
+  static getFieldDisplay(record, key) {
+    return RedactionManager.toDisplay(record.getFlag(DeltaGreenUI.ID, key) || '', record);
+  }
+  
+  /**
+   * Get label of a record for lists (list fields of the schema)
+   * @param {StoredRecord} record - Record
+   * @returns {string} Label
+   */
+  static getRecordLabel(record) {
+    const label = RecordSchema.getListFields(RecordSchema.getRecordType(record))
+      .map(f => this.getFieldDisplay(record, f.key))
+      .filter(v => v)
+      .join(' - ');
+    return label || record.name;
+  }
+  
+  /**
+   * Get current data of a record
+   * @param {StoredRecord} record - Record
+   * @returns {Object} Field values
+   */
+  static getRecordData(record) {
+    const data = {};
+    for (const key of Object.keys(this.getFieldLabels(RecordSchema.getRecordType(record)))) {
+      data[key] = record.getFlag(DeltaGreenUI.ID, key) ?? '';
+    }
+    return data;
+  }
+  
+  /**
+   * Add revision of changed fields to record data
+   * @param {StoredRecord} record - Record (null for a new record)
+   * @param {Object} recordData - Field values
+   * @param {Object} options - Revision options (see RecordHistory.buildRevisions)
+   * @returns {Object} Data to store
+   */
+  static prepareRecordData(record, recordData, options = {}) {
+    const changes = RecordHistory.computeDiff(record ? this.getRecordData(record) : {}, recordData);
+    const revisions = RecordHistory.buildRevisions(record, changes, options);
+    return revisions ? { ...recordData, revisions } : { ...recordData };
+  }
+  
+  /**
+   * Write data to a record and log the revision in a single update
+   * @param {StoredRecord} record - Record
+   * @param {Object} recordData - Field values
+   * @param {Object} options - Revision options, img to replace the image
+   */
+  static async writeRecordData(record, recordData, options = {}) {
+    const update = {
+      name: `Case ${recordData.caseNumber}: ${RecordSchema.getRecordTitle(recordData, recordData.recordType)}`,
+      data: this.prepareRecordData(record, recordData, options)
+    };
+    if (options.img) update.img = options.img;
+    
+    await RecordStorage.update(record, update);
   }
   
   /**
@@ -240,84 +695,82 @@ export class RecordsManager {
   static async saveRecord() {
     // Get form values
     const caseNumber = $('#dg-case-number').text();
-    const surname = $('#dg-surname').val();
-    const firstName = $('#dg-firstname').val();
+    const recordType = this.currentRecordType;
+    const fields = RecordSchema.getFields(recordType);
+    const values = {};
     
-    // Check required fields
-    if (!surname || !firstName) {
-      ui.notifications.error("Surname and first name are required");
+    // Check required fields and types
+    for (const field of fields) {
+      values[field.key] = RecordSchema.getInputValue(field);
+      const error = RecordSchema.validateValue(field, values[field.key]);
+      if (error) {
+        ui.notifications.error(error);
+        return;
+      }
+    }
+    
+    if (!RecordStorage.isAvailable()) {
+      ui.notifications.error(`${RecordStorage.getFolderName()} folder not found`);
       return;
     }
     
-    // Find PC Records folder
-    const folder = game.folders.find(f => f.name === "PC Records" && f.type === "Actor");
+    // Agents can't classify a record out of their own reach
+    const classification = {
+      level: Number($('#dg-classification').val()) || 0,
+      compartments: ClearanceManager.parseCompartments($('#dg-compartments').val())
+    };
     
-    if (!folder) {
-      ui.notifications.error("PC Records folder not found");
+    if (!ClearanceManager.covers(ClearanceManager.getUserClearance(), classification)) {
+      ui.notifications.error("Cannot classify a record above your own clearance");
       return;
     }
     
     // Prepare data
     const recordData = {
       caseNumber,
-      surname,
-      firstName,
-      middleName: $('#dg-middlename').val(),
-      address: $('#dg-address').val(),
-      zipCode: $('#dg-zipcode').val(),
-      phone: $('#dg-phone').val(),
-      dateOfBirth: $('#dg-dob').val(),
-      sex: $('#dg-sex').val(),
-      race: $('#dg-race').val(),
-      height: $('#dg-height').val(),
-      weight: $('#dg-weight').val(),
-      hairColor: $('#dg-haircolor').val(),
-      eyeColor: $('#dg-eyecolor').val(),
-      relationshipStatus: $('#dg-relationship').val(),
-      notes: $('#dg-notes').val()
+      recordType,
+      ...values,
+      classification: classification.level,
+      compartments: classification.compartments,
+      tags: this.parseTags($('#dg-record-tags').val())
     };
     
     try {
       // Edit existing record
       if (this.currentRecordId) {
-        const record = game.actors.get(this.currentRecordId);
+        const record = this.getRecord(this.currentRecordId);
         
         if (record) {
-          // Update flags
-          await record.update({
-            name: `Case ${caseNumber}: ${surname}, ${firstName}`
-          });
+          // Put back redacted content the agent can't see
+          RedactionManager.applyToRecordData(recordData, record);
           
-          // Update flags
-          for (const [key, value] of Object.entries(recordData)) {
-            await record.setFlag(DeltaGreenUI.ID, key, value);
-          }
+          // Keep changes saved by other agents since the form was opened
+          const merged = await RecordLocks.resolveConflicts(record, recordData);
+          if (!merged) return;
+          await this.writeRecordData(record, merged);
         }
       } 
       // Create new record
       else {
-        // Create actor
-        const record = await Actor.create({
-          name: `Case ${caseNumber}: ${surname}, ${firstName}`,
-          type: "npc",
-          folder: folder.id,
-          // Définir les permissions pour que tous les joueurs puissent éditer
-          permission: { default: 3 } // 3 = OWNER (droits complets)
-        });
-        
-        // Add flags
-        for (const [key, value] of Object.entries(recordData)) {
-          await record.setFlag(DeltaGreenUI.ID, key, value);
-        }
+        // Data and first revision are stored with the record itself
+        RedactionManager.applyToRecordData(recordData, null);
+        await RecordStorage.create([{
+          name: `Case ${caseNumber}: ${RecordSchema.getRecordTitle(values, recordType)}`,
+          img: RecordSchema.RECORD_TYPES[recordType].icon,
+          data: { ...this.prepareRecordData(null, recordData), createdBy: game.user.name }
+        }]);
       }
       
       // Success notification
       ui.notifications.info("Record saved successfully");
       
+      // Saved changes no longer need a draft
+      RecordDrafts.clearDraft(RecordDrafts.getDraftKey());
+      
       // Hide form and reload records
-      this.hideRecordForm();
+      this.hideRecordForm({ force: true });
       this.loadRecords();
-      
+    
     } catch (error) {
       console.error("Error saving record:", error);
       ui.notifications.error("Error saving record");
@@ -334,56 +787,4 @@ export class RecordsManager {
     // Show form in edit mode
     this.showRecordForm(recordId);
   }
-  
-  /**
-   * Delete record
-   * @param {string} recordId - ID of record to delete
-   */
-  static async deleteRecord(recordId) {
-    if (!recordId) return;
-    
-    // Deletion confirmation with custom options to ensure dialog is visible
-    const confirmed = await new Promise((resolve) => {
-      const d = new Dialog({
-        title: "Delete Confirmation",
-        content: "Are you sure you want to delete this record? This action cannot be undone.",
-        buttons: {
-          yes: {
-            icon: '<i class="fas fa-check"></i>',
-            label: "Yes",
-            callback: () => resolve(true)
-          },
-          no: {
-            icon: '<i class="fas fa-times"></i>',
-            label: "No",
-            callback: () => resolve(false)
-          }
-        },
-        default: "no",
-        // Make dialog more visible
-        render: (html) => {
-          // Increase z-index to ensure it's above CRT interface
-          $(html).closest('.app').css('z-index', '10000');
-          // Add style to make dialog more visible
-          $(html).closest('.app').css('background-color', '#1a1a1a');
-          $(html).closest('.app').css('border', '2px solid #ffb000');
-          $(html).closest('.app').css('color', '#ffb000');
-          $(html).find('.dialog-buttons button').css('background-color', '#ffb000');
-          $(html).find('.dialog-buttons button').css('color', '#1a1a1a');
-        }
-      });
-      d.render(true);
-    });
-    
-    if (!confirmed) return;
-    
-    // Delete actor
-    const record = game.actors.get(recordId);
-    
-    if (record) {
-      await record.delete();
-      ui.notifications.info("Record deleted successfully");
-      this.loadRecords();
-    }
-  }
 }
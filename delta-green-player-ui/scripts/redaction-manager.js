@@ -0,0 +1,262 @@
+/**
+ * Redaction Manager for Delta Green Player UI
+ * Inline redaction markup in record fields, revealed per agent by the GM
+ *
+ * Markup stored in fields:  [REDACT #id]hidden text[/REDACT]
+ * GM writes new spans as:   [REDACT]hidden text[/REDACT] (IDs are assigned on save)
+ * Agents see hidden spans:  [REDACTED #id]
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordSchema } from './record-schema.js';
+import { RecordStorage } from './record-storage.js';
+
+export class RedactionManager {
+  static SPAN_PATTERN = /\[REDACT #([A-Za-z0-9]+)\]([\s\S]*?)\[\/REDACT\]/g;
+  static NEW_SPAN_PATTERN = /\[REDACT\]([\s\S]*?)\[\/REDACT\]/g;
+  static TOKEN_PATTERN = /\[REDACTED #([A-Za-z0-9]+)\]/g;
+  
+  // Last focused field of case study form, target of "REDACT SELECTION"
+  static lastFocusedField = null;
+  
+  /**
+   * Initialize redaction manager
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing redaction manager');
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Remember field where the GM selects text
+    $(document).on('focus', '#dg-case-study-form .dg-form-input, #dg-case-study-form .dg-form-textarea', (e) => {
+      this.lastFocusedField = e.currentTarget;
+    });
+    
+    // Wrap selected text in redaction markup (GM only)
+    $(document).on('mousedown', '#dg-redact-selection', (e) => {
+      // Keep focus and selection in the field
+      e.preventDefault();
+    });
+    
+    $(document).on('click', '#dg-redact-selection', (e) => {
+      e.preventDefault();
+      this.redactSelection();
+    });
+    
+    // Reveal or hide a span for an agent (GM only)
+    $(document).on('change', '#dg-record-redactions .dg-redaction-reveal', async (e) => {
+      const $checkbox = $(e.currentTarget);
+      const record = RecordsManager.getRecord(RecordsManager.currentRecordId);
+      if (!record) return;
+      
+      await this.setRevealed(record, $checkbox.data('span-id'), $checkbox.data('user-id'), $checkbox.is(':checked'));
+    });
+  }
+  
+  /**
+   * Get redacted spans of a text
+   * @param {string} text - Field value
+   * @returns {Array} Spans { id, content, markup }
+   */
+  static getSpans(text) {
+    return [...String(text || '').matchAll(this.SPAN_PATTERN)].map(match => ({
+      id: match[1],
+      content: match[2],
+      markup: match[0]
+    }));
+  }
+  
+  /**
+   * Check if a span is revealed to a user
+   * @param {StoredRecord} record - Record
+   * @param {string} spanId - Span ID
+   * @param {User} user - User (defaults to current user)
+   * @returns {boolean} True if the user can read the span
+   */
+  static isRevealed(record, spanId, user = game.user) {
+    if (user.isGM) return true;
+    const redactions = record?.getFlag(DeltaGreenUI.ID, 'redactions') || {};
+    return (redactions[spanId]?.revealedTo || []).includes(user.id);
+  }
+  
+  /**
+   * Get field value as the user is allowed to edit it
+   * Hidden spans are replaced by tokens, revealed spans keep their markup
+   * @param {string} text - Stored value
+   * @param {StoredRecord} record - Record
+   * @param {User} user - User (defaults to current user)
+   * @returns {string} Editable value
+   */
+  static toUserView(text, record, user = game.user) {
+    if (user.isGM) return text;
+    
+    return String(text || '').replace(this.SPAN_PATTERN, (markup, id) =>
+      this.isRevealed(record, id, user) ? markup : `[REDACTED #${id}]`
+    );
+  }
+  
+  /**
+   * Get field value for read-only display (lists, labels)
+   * @param {string} text - Stored value
+   * @param {StoredRecord} record - Record
+   * @returns {string} Display value without markup
+   */
+  static toDisplay(text, record) {
+    return String(text || '').replace(this.SPAN_PATTERN, (markup, id, content) =>
+      this.isRevealed(record, id) ? content : '[REDACTED]'
+    );
+  }
+  
+  /**
+   * Give an ID to spans newly written by the GM
+   * @param {string} text - Field value
+   * @returns {string} Value with identified spans
+   */
+  static assignIds(text) {
+    return String(text || '').replace(this.NEW_SPAN_PATTERN, (markup, content) =>
+      `[REDACT #${foundry.utils.randomID(6)}]${content}[/REDACT]`
+    );
+  }
+  
+  /**
+   * Merge a user's edit with the stored value
+   * Hidden spans come back in place of their tokens; spans whose token was
+   * deleted are appended so an agent can't wipe content they can't see
+   * @param {string} edited - Value submitted by user
+   * @param {string} original - Stored value
+   * @param {StoredRecord} record - Record
+   * @returns {string} Value to store
+   */
+  static mergeUserEdit(edited, original, record) {
+    if (game.user.isGM) return this.assignIds(edited);
+    
+    const hidden = new Map(this.getSpans(original)
+      .filter(span => !this.isRevealed(record, span.id))
+      .map(span => [span.id, span]));
+    const restored = new Set();
+    
+    let result = String(edited || '').replace(this.TOKEN_PATTERN, (token, id) => {
+      const span = hidden.get(id);
+      if (!span || restored.has(id)) return token;
+      restored.add(id);
+      return span.markup;
+    });
+    
+    const missing = [...hidden.values()].filter(span => !restored.has(span.id));
+    if (missing.length > 0) {
+      result += (result ? '\n' : '') + missing.map(span => span.markup).join(' ');
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Merge every redactable field of submitted record data
+   * @param {Object} recordData - Submitted field values (modified in place)
+   * @param {StoredRecord} record - Existing record (null for a new one)
+   */
+  static applyToRecordData(recordData, record) {
+    for (const [key, value] of Object.entries(recordData)) {
+      if (key === 'caseNumber' || typeof value !== 'string') continue;
+      const original = record ? record.getFlag(DeltaGreenUI.ID, key) || '' : '';
+      recordData[key] = this.mergeUserEdit(value, original, record);
+    }
+  }
+  
+  /**
+   * Reveal or hide a span for an agent (GM only)
+   * @param {StoredRecord} record - Record
+   * @param {string} spanId - Span ID
+   * @param {string} userId - Agent user ID
+   * @param {boolean} revealed - Reveal state
+   */
+  static async setRevealed(record, spanId, userId, revealed) {
+    if (!game.user.isGM) return;
+    
+    const redactions = record.getFlag(DeltaGreenUI.ID, 'redactions') || {};
+    const revealedTo = new Set(redactions[spanId]?.revealedTo || []);
+    
+    if (revealed) {
+      revealedTo.add(userId);
+    } else {
+      revealedTo.delete(userId);
+    }
+    
+    await RecordStorage.update(record, {
+      data: { redactions: { [spanId]: { revealedTo: [...revealedTo] } } }
+    });
+  }
+  
+  /**
+   * Wrap current selection of last focused field in redaction markup
+   */
+  static redactSelection() {
+    const field = this.lastFocusedField;
+    if (!field || !$(field).closest('#dg-case-study-form').length) {
+      ui.notifications.warn("Select text in a field to redact");
+      return;
+    }
+    
+    const { selectionStart: start, selectionEnd: end, value } = field;
+    if (start === end) {
+      ui.notifications.warn("Select text in a field to redact");
+      return;
+    }
+    
+    field.value = `${value.slice(0, start)}[REDACT]${value.slice(start, end)}[/REDACT]${value.slice(end)}`;
+    field.focus();
+  }
+  
+  /**
+   * Display GM reveal controls for every span of a record
+   * @param {StoredRecord} record - Record (null for a new record)
+   */
+  static displayRedactionControls(record) {
+    const $list = $('#dg-record-redactions-list');
+    if (!$list.length || !game.user.isGM) return;
+    
+    $list.empty();
+    
+    const spans = [];
+    if (record) {
+      for (const [key, value] of Object.entries(RecordsManager.getRecordData(record))) {
+        if (typeof value !== 'string') continue;
+        this.getSpans(value).forEach(span => spans.push({ ...span, field: key }));
+      }
+    }
+    
+    if (spans.length === 0) {
+      $list.append('<li class="dg-result-item dg-no-entries">No redacted spans</li>');
+      return;
+    }
+    
+    const agents = game.users.filter(u => !u.isGM);
+    const labels = RecordsManager.getFieldLabels(RecordSchema.getRecordType(record));
+    
+    spans.forEach(span => {
+      const label = (labels[span.field] || span.field).toUpperCase();
+      const excerpt = span.content.length > 40 ? `${span.content.slice(0, 40)}...` : span.content;
+      
+      const $item = $('<li class="dg-result-item dg-redaction"></li>');
+      $item.append($('<div class="dg-redaction-span"></div>').text(`#${span.id} (${label}): ${excerpt}`));
+      
+      const $agents = $('<div class="dg-redaction-agents"></div>');
+      agents.forEach(agent => {
+        const checked = this.isRevealed(record, span.id, agent) ? 'checked' : '';
+        $agents.append(`
+          <label><input type="checkbox" class="dg-redaction-reveal" data-span-id="${span.id}" data-user-id="${agent.id}" ${checked}> ${agent.name}</label>
+        `);
+      });
+      
+      $item.append($agents);
+      $list.append($item);
+    });
+  }
+}
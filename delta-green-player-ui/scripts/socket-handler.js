@@ -0,0 +1,120 @@
+/**
+ * Socket handler for Delta Green Player UI
+ * Dispatches module socket messages to registered handlers by type
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+
+export class SocketHandler {
+  static handlers = new Map();
+  
+  // Handlers of messages the Handler writes to this user's flag (type => handler)
+  static handlerMessages = new Map();
+  
+  /**
+   * Socket channel name
+   * @returns {string} Channel name
+   */
+  static get CHANNEL() {
+    return `module.${DeltaGreenUI.ID}`;
+  }
+  
+  /**
+   * Initialize socket listener
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing socket handler');
+    
+    game.socket.on(this.CHANNEL, (data) => {
+      this.onMessage(data);
+    });
+    
+    Hooks.on('updateUser', (user, changes, options, userId) => this.onHandlerMessage(user, changes, userId));
+  }
+  
+  /**
+   * Register handler for a message type
+   * senderId is written by the sending client and can be forged: never use it for permission checks
+   * (use the user of a chat message or the userId of a document update hook instead)
+   * @param {string} type - Message type
+   * @param {Function} handler - Handler receiving (payload, senderId)
+   */
+  static register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+  
+  /**
+   * Send message to other clients
+   * The emitting client does not receive its own messages
+   * @param {string} type - Message type
+   * @param {Object} payload - Message data
+   */
+  static emit(type, payload = {}) {
+    game.socket.emit(this.CHANNEL, {
+      type,
+      payload,
+      senderId: game.user.id
+    });
+  }
+  
+  /**
+   * Register handler for a message the Handler sends to this user (see sendToUsers)
+   * @param {string} type - Message type
+   * @param {Function} handler - Handler receiving (payload)
+   */
+  static registerHandlerMessage(type, handler) {
+    this.handlerMessages.set(type, handler);
+  }
+  
+  /**
+   * Send a message to users through their user flag (GM only)
+   * Foundry tells receivers which user made the update, so they can check it came from a GM.
+   * The flag is readable by every client: don't send secrets this way
+   * @param {Array<string>} userIds - Receiving user IDs
+   * @param {string} type - Message type
+   * @param {Object} payload - Message data
+   */
+  static async sendToUsers(userIds, type, payload = {}) {
+    if (!game.user.isGM || userIds.length === 0) return;
+    
+    // Stored as a string so each message replaces the previous one instead of being merged
+    const message = JSON.stringify({ id: foundry.utils.randomID(), type, payload });
+    await CONFIG.User.documentClass.updateDocuments(userIds.map(id => ({
+      _id: id,
+      [`flags.${DeltaGreenUI.ID}.handlerMessage`]: message
+    })));
+  }
+  
+  /**
+   * Dispatch a message written to this user's flag by a GM
+   * @param {User} user - Updated user
+   * @param {Object} changes - User update data
+   * @param {string} modifierId - User who made the update (set by the server)
+   */
+  static onHandlerMessage(user, changes, modifierId) {
+    const message = foundry.utils.getProperty(changes, `flags.${DeltaGreenUI.ID}.handlerMessage`);
+    if (!message || user.id !== game.user.id || !game.users.get(modifierId)?.isGM) return;
+    
+    try {
+      const { type, payload } = JSON.parse(message);
+      this.handlerMessages.get(type)?.(payload);
+    } catch (error) {
+      console.error('Delta Green UI | Error handling Handler message:', error);
+    }
+  }
+  
+  /**
+   * Dispatch received message
+   * @param {Object} data - Socket data
+   */
+  static onMessage(data) {
+    const handler = this.handlers.get(data?.type);
+    if (!handler) return;
+    
+    try {
+      handler(data.payload, data.senderId);
+    } catch (error) {
+      console.error(`Delta Green UI | Error handling socket message "${data.type}":`, error);
+    }
+  }
+}
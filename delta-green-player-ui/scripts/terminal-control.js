@@ -0,0 +1,199 @@
+/**
+ * Terminal Control for Delta Green Player UI
+ * Handler panel showing agents' terminals, with open, close, lock and kick commands
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { SocketHandler } from './socket-handler.js';
+import { LoginManager } from './login-manager.js';
+
+export class TerminalControl {
+  // Views reported by agents' terminals (user ID => view name)
+  static views = new Map();
+  
+  /**
+   * Initialize terminal control
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing terminal control');
+    
+    SocketHandler.register('terminalState', (payload, senderId) => this.onState(payload, senderId));
+    SocketHandler.register('terminalStateQuery', () => this.reportState());
+    SocketHandler.registerHandlerMessage('terminalCommand', (payload) => this.onCommand(payload));
+    
+    // Connections and logins (interfaceActive flag) change the panel
+    Hooks.on('userConnected', () => this.renderControlPanel());
+    Hooks.on('updateUser', (user, changes) => {
+      if (changes.flags?.[DeltaGreenUI.ID]) this.renderControlPanel();
+    });
+    
+    // Handler asks current state, agents tell theirs
+    if (game.user.isGM) SocketHandler.emit('terminalStateQuery');
+    else this.reportState();
+    
+    this.applyLock();
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events
+   */
+  static initEvents() {
+    // Report view changes of agent's terminal
+    $(document).on('click', '#dg-crt-menu .dg-menu-item', () => {
+      if (!game.user.isGM) setTimeout(() => this.reportState(), 0);
+    });
+    
+    // Handler commands
+    $(document).on('click', '#dg-terminal-control-list .dg-terminal-command', async (e) => {
+      e.preventDefault();
+      const $button = $(e.currentTarget);
+      const userId = $button.closest('.dg-terminal-row').data('user-id');
+      await this.sendCommand(userId, $button.data('command'));
+    });
+  }
+  
+  /**
+   * Get view shown on this terminal
+   * @returns {string} View name
+   */
+  static getCurrentView() {
+    return ($('.dg-view.active').attr('id') || 'dg-view-system').replace('dg-view-', '');
+  }
+  
+  /**
+   * Tell the Handler which view this terminal shows (agents only)
+   */
+  static reportState() {
+    if (game.user.isGM) return;
+    SocketHandler.emit('terminalState', { view: this.getCurrentView() });
+  }
+  
+  /**
+   * Handle state reported by an agent's terminal
+   * The sender ID isn't verified: the reported view is only shown in the control panel
+   * @param {Object} payload - { view }
+   * @param {string} senderId - Agent user ID
+   */
+  static onState({ view }, senderId) {
+    if (!game.user.isGM) return;
+    this.views.set(senderId, view);
+    this.renderControlPanel();
+  }
+  
+  /**
+   * Check if a user's terminal is locked (LOG OUT disabled)
+   * @param {User} user - User
+   * @returns {boolean} True if locked
+   */
+  static isLocked(user = game.user) {
+    return (game.settings.get(DeltaGreenUI.ID, 'lockedTerminals') || []).includes(user.id);
+  }
+  
+  /**
+   * Show LOG OUT as disabled while this terminal is locked
+   */
+  static applyLock() {
+    $('body').toggleClass('dg-terminal-locked', !game.user.isGM && this.isLocked());
+  }
+  
+  /**
+   * Lock or unlock a user's terminal
+   * @param {string} userId - User ID
+   * @param {boolean} locked - Lock state
+   */
+  static async setLocked(userId, locked) {
+    const lockedTerminals = (game.settings.get(DeltaGreenUI.ID, 'lockedTerminals') || []).filter(id => id !== userId);
+    if (locked) lockedTerminals.push(userId);
+    await game.settings.set(DeltaGreenUI.ID, 'lockedTerminals', lockedTerminals);
+  }
+  
+  /**
+   * Run a Handler command on an agent's terminal
+   * @param {string} userId - Agent user ID
+   * @param {string} command - 'open', 'close', 'kick', 'lock' or 'unlock'
+   */
+  static async sendCommand(userId, command) {
+    if (!game.user.isGM) return;
+    
+    if (command === 'lock' || command === 'unlock') {
+      await this.setLocked(userId, command === 'lock');
+      return;
+    }
+    
+    // Kicked agents are sent to the scene the Handler is looking at
+    await SocketHandler.sendToUsers([userId], 'terminalCommand', { command, sceneId: canvas.scene?.id ?? null });
+  }
+  
+  /**
+   * Handle a Handler command (only GMs can write it to this user's flag)
+   * @param {Object} payload - { command, sceneId }
+   */
+  static onCommand({ command, sceneId }) {
+    switch (command) {
+      case 'open':
+        DeltaGreenUI.openInterface();
+        break;
+      
+      case 'close':
+        DeltaGreenUI.closeInterface();
+        break;
+      
+      case 'kick':
+        DeltaGreenUI.closeInterface();
+        game.scenes.get(sceneId)?.view();
+        ui.notifications.warn("TERMINAL DISCONNECTED BY HANDLER");
+        break;
+    }
+  }
+  
+  /**
+   * Render Handler terminal control panel in access view
+   */
+  static renderControlPanel() {
+    const $list = $('#dg-terminal-control-list');
+    if (!$list.length || !game.user.isGM) return;
+    
+    $list.empty();
+    
+    const players = game.users.filter(u => !u.isGM);
+    if (players.length === 0) {
+      $list.append('<li class="dg-result-item dg-no-entries">No agents found</li>');
+      return;
+    }
+    
+    players.forEach(player => {
+      const loggedIn = player.getFlag(DeltaGreenUI.ID, 'interfaceActive') === true;
+      const locked = this.isLocked(player);
+      
+      let status = 'OFFLINE';
+      if (player.active) {
+        status = loggedIn ? `LOGGED IN - ${(this.views.get(player.id) || 'system').toUpperCase()}` : 'LOGGED OUT - CANVAS';
+      }
+      const account = LoginManager.getActiveAccount(player);
+      if (account && loggedIn) status += ` - AS ${account.agentId}`;
+      if (locked) status += ' - LOCKED';
+      if (LoginManager.getLockoutRemaining(player) > 0) status += ' - LOGIN LOCKOUT';
+      
+      const $row = $('<li class="dg-result-item dg-terminal-row"></li>').attr('data-user-id', player.id);
+      $row.append($('<span class="dg-terminal-name"></span>').text(player.name));
+      $row.append($('<span class="dg-terminal-status"></span>').text(status));
+      
+      const commands = [
+        ['open', 'OPEN'],
+        ['close', 'CLOSE'],
+        [locked ? 'unlock' : 'lock', locked ? 'UNLOCK' : 'LOCK'],
+        ['kick', 'KICK']
+      ];
+      commands.forEach(([command, label]) => {
+        const $button = $('<button class="dg-button dg-terminal-command"></button>').attr('data-command', command).text(label);
+        if (!player.active && command !== 'lock' && command !== 'unlock') $button.prop('disabled', true);
+        $row.append($button);
+      });
+      
+      $list.append($row);
+    });
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Terminal Push for Delta Green Player UI
+ * Handler sends a record, journal page or image straight onto agents' terminals
+ */
+
+import { DeltaGreenUI } from './delta-green-ui.js';
+import { RecordsManager } from './records-manager.js';
+import { RecordDrafts } from './record-drafts.js';
+import { RecordAttachments } from './record-attachments.js';
+import { ClearanceManager } from './clearance-manager.js';
+import { JournalReader } from './journal-reader.js';
+import { SocketHandler } from './socket-handler.js';
+
+export class TerminalPush {
+  // Default heading of arrival effect
+  static DEFAULT_HEADING = 'A FAX COMES THROUGH';
+  
+  // Duration of arrival effect before the document shows (ms)
+  static ARRIVAL_DURATION = 2000;
+  
+  /**
+   * Initialize terminal push
+   */
+  static init() {
+    console.log('Delta Green UI | Initializing terminal push');
+    
+    SocketHandler.registerHandlerMessage('terminalPush', (payload) => this.onPush(payload));
+    
+    // Initialize events
+    this.initEvents();
+  }
+  
+  /**
+   * Initialize events (Handler controls)
+   */
+  static initEvents() {
+    // Push record shown in case study form
+    $(document).on('click', '#dg-push-record', (e) => {
+      e.preventDefault();
+      const record = RecordsManager.getRecord(RecordsManager.currentRecordId);
+      if (record) this.pushRecord(record);
+    });
+    
+    // Push page shown in journal reader
+    $(document).on('click', '#dg-journal-push', (e) => {
+      e.preventDefault();
+      const entry = game.journal.get(JournalReader.current.entryId);
+      const page = entry ? JournalReader.getPages(entry)[JournalReader.current.pageIndex] : null;
+      if (page) this.pushPage(page);
+    });
+    
+    // Push attachment shown in viewer
+    $(document).on('click', '#dg-viewer-push', (e) => {
+      e.preventDefault();
+      const attachment = RecordAttachments.viewer.attachments[RecordAttachments.viewer.index];
+      if (attachment) this.pushImage(attachment.path, attachment.caption);
+    });
+    
+    // Push any image file
+    $(document).on('click', '#dg-push-image', (e) => {
+      e.preventDefault();
+      new FilePicker({
+        type: 'image',
+        callback: (path) => this.pushImage(path, path.split('/').pop()),
+        title: 'Select an image to push'
+      }).render(true);
+    });
+  }
+  
+  /**
+   * Ask Handler which agents receive a document
+   * @param {string} title - Dialog title
+   * @param {Function} canReceive - Tells if a user may receive the document (user => boolean)
+   * @returns {Promise<Object|null>} { userIds, heading }, null if cancelled
+   */
+  static async chooseTargets(title, canReceive = () => true) {
+    const users = game.users.filter(u => !u.isGM && u.active);
+    if (users.length === 0) {
+      ui.notifications.warn("No agent connected");
+      return null;
+    }
+    
+    const $content = $('<div class="dg-push-dialog"></div>');
+    $content.append($('<label>Heading</label>'));
+    $content.append($('<input type="text" name="heading">').attr('value', this.DEFAULT_HEADING));
+    users.forEach(user => {
+      const allowed = canReceive(user);
+      const $label = $('<label class="dg-push-target"></label>');
+      $label.append($('<input type="checkbox" name="target">').attr('value', user.id).attr('checked', allowed || null).attr('disabled', !allowed || null));
+      $label.append(document.createTextNode(` ${user.name}${allowed ? '' : ' (NO CLEARANCE)'}`));
+      $content.append($label);
+    });
+    
+    return new Promise((resolve) => {
+      const d = new Dialog({
+        title,
+        content: $content.prop('outerHTML'),
+        buttons: {
+          push: {
+            icon: '<i class="fas fa-satellite-dish"></i>',
+            label: "Push",
+            callback: (html) => resolve({
+              userIds: $(html).find('input[name="target"]:checked').map((i, el) => el.value).get(),
+              heading: String($(html).find('input[name="heading"]').val() || '').trim() || this.DEFAULT_HEADING
+            })
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: "Cancel",
+            callback: () => resolve(null)
+          }
+        },
+        default: "push",
+        close: () => resolve(null),
+        // Make dialog more visible
+        render: (html) => {
+          // Increase z-index to ensure it's above CRT interface
+          $(html).closest('.app').css('z-index', '10000');
+        }
+      });
+      d.render(true);
+    });
+  }
+  
+  /**
+   * Send a document to chosen agents
+   * @param {Object} content - Document payload (kind and document reference)
+   * @param {Object} choice - { userIds, heading }
+   */
+  static async send(content, { userIds, heading }) {
+    if (userIds.length === 0) {
+      ui.notifications.warn("No agent selected");
+      return;
+    }
+    
+    await SocketHandler.sendToUsers(userIds, 'terminalPush', { ...content, heading });
+    ui.notifications.info(`Document pushed to ${userIds.length} agent(s)`);
+  }
+  
+  /**
+   * Push a record (agents open it with their own clearance and redactions)
+   * @param {StoredRecord} record - Record
+   */
+  static async pushRecord(record) {
+    if (!game.user.isGM) return;
+    
+    const choice = await this.chooseTargets("Push Record", user => ClearanceManager.canAccess(record, user));
+    if (choice) await this.send({ kind: 'record', recordId: record.id }, choice);
+  }
+  
+  /**
+   * Push a journal page, shown without its secret sections
+   * Agents receive the page even if the entry isn't shared with them
+   * @param {JournalEntryPage} page - Page
+   */
+  static async pushPage(page) {
+    if (!game.user.isGM) return;
+    
+    const choice = await this.chooseTargets("Push Journal Page");
+    if (choice) await this.send({ kind: 'page', pageUuid: page.uuid }, choice);
+  }
+  
+  /**
+   * Push an image
+   * @param {string} src - Image path
+   * @param {string} caption - Caption
+   */
+  static async pushImage(src, caption) {
+    if (!game.user.isGM || !src) return;
+    
+    const choice = await this.chooseTargets("Push Image");
+    if (choice) await this.send({ kind: 'image', src, caption }, choice);
+  }
+  
+  /**
+   * Receive a document pushed by the Handler
+   * @param {Object} payload - Document and heading
+   */
+  static onPush(payload) {
+    DeltaGreenUI.openInterface();
+    this.playArrival(payload.heading || this.DEFAULT_HEADING).then(() => this.display(payload));
+  }
+  
+  /**
+   * Play arrival effect over the terminal
+   * @param {string} heading - Heading shown
+   * @returns {Promise} Resolved when the effect ends
+   */
+  static playArrival(heading) {
+    const $overlay = $('#dg-push-overlay');
+    $('#dg-push-heading').text(String(heading).toUpperCase());
+    
+    // Restart animation if a document is already arriving
+    $overlay.hide().removeClass('dg-push-arriving');
+    void $overlay[0]?.offsetWidth;
+    $overlay.addClass('dg-push-arriving').show();
+    
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        $overlay.hide().removeClass('dg-push-arriving');
+        resolve();
+      }, this.ARRIVAL_DURATION);
+    });
+  }
+  
+  /**
+   * Switch terminal to a view, keeping a draft of the case study being edited
+   * @param {string} view - View name
+   */
+  static showView(view) {
+    if (view !== 'records' && RecordDrafts.hasUnsavedChanges()) {
+      RecordDrafts.saveDraft();
+      RecordsManager.hideRecordForm({ force: true });
+    }
+    
+    $(`.dg-menu-item[data-view="${view}"]`).trigger('click');
+  }
+  
+  /**
+   * Display a pushed document
+   * @param {Object} payload - Document payload
+   */
+  static display(payload) {
+    switch (payload.kind) {
+      case 'record':
+        this.showView('records');
+        RecordsManager.openRecord(payload.recordId);
+        break;
+      
+      case 'page': {
+        const page = fromUuidSync(payload.pageUuid);
+        if (page?.documentName !== 'JournalEntryPage') {
+          ui.notifications.warn("TRANSMISSION LOST - DOCUMENT NOT FOUND");
+          break;
+        }
+        this.showView('journal');
+        JournalReader.showReceived(page);
+        break;
+      }
+      
+      case 'image':
+        RecordAttachments.openViewer([{
+          path: payload.src,
+          caption: payload.caption || payload.src.split('/').pop(),
+          date: new Date().toISOString().slice(0, 10)
+        }]);
+        break;
+    }
+  }
+}
@@ -58,9 +58,34 @@ export class UIComponents {
       }
     });
     
-    // Handle add record button
+    // Handle add record button (asks for record type)
     $(document).on('click', '#dg-add-record-button', function() {
-      RecordsManager.showRecordForm();
+      RecordsManager.showTypePrompt();
+    });
+    
+    // Handle record type choice for new record
+    $(document).on('click', '.dg-record-type-choice', function() {
+      RecordsManager.showRecordForm(null, $(this).data('record-type'));
+    });
+    
+    // Handle record type filters
+    $(document).on('click', '.dg-record-type-filter', function() {
+      RecordsManager.setTypeFilter($(this).data('record-type'));
+    });
+    
+    // Handle records list sort (buttons and table headers)
+    $(document).on('click', '.dg-record-sort', function() {
+      RecordsManager.setSort($(this).data('sort'));
+    });
+    
+    // Handle tag filters
+    $(document).on('click', '.dg-record-tag-filter', function() {
+      RecordsManager.toggleTagFilter($(this).attr('data-tag'));
+    });
+    
+    // Handle list / table mode
+    $(document).on('click', '#dg-records-mode', function() {
+      RecordsManager.toggleListMode();
     });
     
     // Handle save record button